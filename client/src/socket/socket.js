@@ -1,11 +1,173 @@
 // socket.js - Socket.io client setup
 
 import { io } from 'socket.io-client';
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 
 // Socket.io connection URL
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
 
+// Room every user is placed in when joining the chat
+export const DEFAULT_ROOM = 'general';
+
+// How long to wait for the server to acknowledge a message before marking it failed
+const ACK_TIMEOUT = 10000;
+
+// Message statuses only move forward through this list; 'failed' is set directly
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+// Without keyboard, mouse or touch input for this long the tab reports itself idle
+const IDLE_AFTER = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['keydown', 'mousemove', 'mousedown', 'touchstart', 'scroll'];
+
+// While the user types, the typing indicator is repeated this often so the server does not
+// expire it, and stopped once this long passes without a keystroke
+const TYPING_REPEAT = 3000;
+const TYPING_STOP_AFTER = 3000;
+
+// A random version 4 UUID. crypto.randomUUID only exists on secure origins (https or
+// localhost), so over plain http one is built from crypto.getRandomValues instead.
+const randomId = () => {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  return hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+};
+
+// Log in or register over REST, resolving to { token, user }
+const requestToken = async (action, username, password) => {
+  const response = await fetch(`${SOCKET_URL}/api/auth/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Authentication failed');
+  }
+  return data;
+};
+
+export const login = (username, password) => requestToken('login', username, password);
+
+export const register = (username, password) => requestToken('register', username, password);
+
+// The line shown in the timeline for a moderator action
+const describeNotice = ({ action, username, by, reason, until, role }) => {
+  const text = {
+    kick: `${username} was kicked by ${by.username}`,
+    mute: `${username} was muted by ${by.username} until ${new Date(until).toLocaleString()}`,
+    unmute: `${username} was unmuted by ${by.username}`,
+    ban: `${username} was banned by ${by.username}`,
+    unban: `${username} was unbanned by ${by.username}`,
+    set_role: `${username} is now a ${role}`,
+    delete_message: `A message by ${username} was removed by ${by.username}`,
+  }[action];
+  return reason ? `${text}: ${reason}` : text;
+};
+
+// Upload a file over REST, resolving to its attachment details
+const uploadAttachment = async (token, file) => {
+  const body = new FormData();
+  body.append('file', file);
+  const response = await fetch(`${SOCKET_URL}/api/attachments`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Upload failed');
+  }
+  return data.attachment;
+};
+
+// Private messages share a conversation id made from both participants' user ids
+const getPrivateRoomId = (a, b) => [a, b].sort().join('_');
+
+// Merge pages of history into the message list without duplicates
+const mergeMessages = (current, incoming) => {
+  const known = new Set(current.flatMap((message) => [message.id, message.clientId]));
+  const fresh = incoming.filter(
+    (message) => !known.has(message.id) && !(message.clientId && known.has(message.clientId))
+  );
+  // Server sequence numbers break ties between messages sent in the same millisecond
+  return [...current, ...fresh].sort(
+    (a, b) =>
+      Date.parse(a.timestamp) - Date.parse(b.timestamp) ||
+      (a.seq ?? Infinity) - (b.seq ?? Infinity)
+  );
+};
+
+const advanceStatus = (current, next) =>
+  !current || STATUS_ORDER.indexOf(next) > STATUS_ORDER.indexOf(current) ? next : current;
+
+// Insert a message, or merge it into the copy with the same id or clientId
+const upsertMessage = (list, message) => {
+  const index = list.findIndex(
+    (item) => item.id === message.id || (message.clientId && item.clientId === message.clientId)
+  );
+  if (index === -1) {
+    return mergeMessages(list, [message]);
+  }
+
+  const next = [...list];
+  next[index] = {
+    ...list[index],
+    ...message,
+    status: advanceStatus(list[index].status, message.status),
+  };
+  return next;
+};
+
+// Mark our own messages in a conversation as read up to another user's read position;
+// read positions only cover the main timeline, not thread replies
+const applyReadPosition = (list, roomId, position, ownId) =>
+  list.map((item) =>
+    item.roomId === roomId &&
+    !item.parentId &&
+    item.senderId === ownId &&
+    Date.parse(item.timestamp) <= Date.parse(position.timestamp)
+      ? { ...item, status: advanceStatus(item.status, 'read') }
+      : item
+  );
+
+// The highest sequence number held for each conversation. Messages the server
+// has not confirmed yet have no sequence number and are skipped, as are thread
+// replies, which are numbered within their thread.
+const getCursors = (list) => {
+  const cursors = {};
+  list.forEach((message) => {
+    if (message.roomId && !message.parentId && message.seq > (cursors[message.roomId] ?? 0)) {
+      cursors[message.roomId] = message.seq;
+    }
+  });
+  return cursors;
+};
+
+// Outgoing messages waiting for the server survive page reloads in localStorage, kept
+// per user so whoever signs in next on this browser does not send them
+const outboxKey = (userId) => `chat-outbox:${userId}`;
+
+const loadOutbox = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(outboxKey(userId))) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const saveOutbox = (userId, entries) => {
+  try {
+    localStorage.setItem(outboxKey(userId), JSON.stringify(entries));
+  } catch (err) {
+    // Storage can be full or disabled; the outbox still works for this session
+  }
+};
+
 // Create socket instance
 export const socket = io(SOCKET_URL, {
   autoConnect: false,
@@ -18,16 +180,106 @@ export const socket = io(SOCKET_URL, {
 export const useSocket = () => {
   const [isConnected, setIsConnected] = useState(socket.connected);
   const [lastMessage, setLastMessage] = useState(null);
+  // Outbox entries are { event, payload, message }, oldest first. The saved outbox is
+  // loaded once the server tells us who we are.
+  const outboxRef = useRef([]);
+  const outboxUserRef = useRef(null);
+  const [outboxSize, setOutboxSize] = useState(0);
   const [messages, setMessages] = useState([]);
+  // Everyone seen since the server started: { id, username, role, status, statusText, lastSeen }
   const [users, setUsers] = useState([]);
-  const [typingUsers, setTypingUsers] = useState([]);
+  // Room or private conversation id -> usernames typing there
+  const [typingByRoom, setTypingByRoom] = useState({});
+  const [rooms, setRooms] = useState([]);
+  const [currentRoom, setCurrentRoom] = useState(DEFAULT_ROOM);
+  const [usersByRoom, setUsersByRoom] = useState({});
+  const [hasMoreByRoom, setHasMoreByRoom] = useState({});
+  const [isLoadingMessages, setIsLoadingMessages] = useState(false);
+  const [authError, setAuthError] = useState(null);
+  // Set while the server is turning events away: { event, retryAfterMs, until, disconnected }
+  const [rateLimit, setRateLimit] = useState(null);
+  // The last request the server refused: { event, error, code, at }
+  const [lastError, setLastError] = useState(null);
+  // When a moderator's mute on us ends, as an ISO timestamp
+  const [mutedUntil, setMutedUntil] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  // The status we chose, as { status, statusText, idle }; others may see us as away or offline
+  const [ownStatus, setOwnStatus] = useState(null);
+  const idleRef = useRef(false);
+  // Conversations we are typing in -> { sentAt, stopTimer }
+  const typingRef = useRef(new Map());
+  const [readsByRoom, setReadsByRoom] = useState({});
+  // Room or private conversation id -> { unread, mentions }, for conversations with either
+  const [unreadCounts, setUnreadCounts] = useState({});
+  // Whether mentions raise a browser notification while the tab is hidden
+  const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const notificationsRef = useRef(false);
+  // The open thread, as { parent, hasMore }; its replies are kept in messages
+  const [thread, setThread] = useState(null);
+  const threadRef = useRef(null);
+  const currentRoomRef = useRef(currentRoom);
+  const currentUserRef = useRef(null);
+  const loadingRef = useRef(false);
+  const messagesRef = useRef(messages);
+  // Rooms to join again after a reconnect
+  const joinedRoomsRef = useRef(new Set([DEFAULT_ROOM]));
+  // Whether this connection has joined the chat and our rooms again; until then the
+  // server would refuse the outbox's messages
+  const joinedRef = useRef(false);
+  const flushingRef = useRef(false);
+  // clientId -> resolve function of the promise returned by sendMessage
+  const resolversRef = useRef(new Map());
 
-  // Connect to socket server
-  const connect = (username) => {
-    socket.connect();
-    if (username) {
-      socket.emit('user_join', username);
+  const updateOutbox = (entries) => {
+    outboxRef.current = entries;
+    if (outboxUserRef.current) {
+      saveOutbox(outboxUserRef.current, entries);
     }
+    setOutboxSize(entries.length);
+  };
+
+  // Switch to a user's saved outbox, showing its messages as pending. Messages queued
+  // before we knew who we were are theirs; another user's are dropped from view.
+  const loadUserOutbox = (userId) => {
+    const previous = outboxRef.current;
+    const unsaved = outboxUserRef.current === null ? previous : [];
+    const dropped = new Set(
+      previous.filter((entry) => !unsaved.includes(entry)).map((entry) => entry.payload.clientId)
+    );
+
+    outboxUserRef.current = userId;
+    const entries = [...loadOutbox(userId), ...unsaved];
+    updateOutbox(entries);
+    setMessages((prev) =>
+      entries.reduce(
+        (list, entry) => upsertMessage(list, entry.message),
+        prev.filter((message) => !dropped.has(message.clientId))
+      )
+    );
+  };
+
+  useEffect(() => {
+    currentRoomRef.current = currentRoom;
+  }, [currentRoom]);
+
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  useEffect(() => {
+    threadRef.current = thread;
+  }, [thread]);
+
+  useEffect(() => {
+    notificationsRef.current = notificationsEnabled;
+  }, [notificationsEnabled]);
+
+  // Connect to socket server with a token from login() or register();
+  // the hook joins the chat on every connect, including reconnects
+  const connect = (token) => {
+    setAuthError(null);
+    socket.auth = { token };
+    socket.connect();
   };
 
   // Disconnect from socket server
@@ -35,19 +287,535 @@ export const useSocket = () => {
     socket.disconnect();
   };
 
-  // Send a message
+  const recordError = (event, { error, code }) => {
+    setLastError({ event, error, code, at: Date.now() });
+  };
+
+  const clearError = () => {
+    setLastError(null);
+  };
+
+  // Emit an event with an ack, resolving to the server's response; refusals
+  // ({ error, code }) are also kept in lastError for the UI
+  const request = (event, ...args) =>
+    new Promise((resolve) => {
+      socket.emit(event, ...args, (response) => {
+        if (response?.error) {
+          recordError(event, response);
+        }
+        resolve(response);
+      });
+    });
+
+  // Fetch a page of room (roomId) or private (with) history and merge it in
+  const loadMessages = (query, key = query.roomId) => {
+    setIsLoadingMessages(true);
+
+    return request('load_messages', query).then((response) => {
+      setIsLoadingMessages(false);
+      if (!response?.error) {
+        const ownId = currentUserRef.current?.id;
+        setMessages((prev) => {
+          // Our own messages in history at least reached the server
+          let next = mergeMessages(
+            prev,
+            response.messages.map((message) =>
+              message.senderId === ownId ? { ...message, status: 'sent' } : message
+            )
+          );
+          Object.entries(response.reads).forEach(([readerId, position]) => {
+            if (readerId !== ownId) {
+              next = applyReadPosition(next, key, position, ownId);
+            }
+          });
+          return next;
+        });
+        setHasMoreByRoom((prev) => ({ ...prev, [key]: response.hasMore }));
+        setReadsByRoom((prev) => ({ ...prev, [key]: response.reads }));
+      }
+      return response;
+    });
+  };
+
+  // Fetch everything sent after our newest message in each conversation,
+  // following up while the server reports more
+  const syncMessages = (cursors) => {
+    socket.emit('sync_messages', { cursors }, (response) => {
+      if (!response || response.error) {
+        return;
+      }
+
+      const pages = Object.entries(response.conversations);
+      setMessages((prev) =>
+        pages.reduce((list, [, page]) => mergeMessages(list, page.messages), prev)
+      );
+
+      const remaining = {};
+      pages.forEach(([conversationId, page]) => {
+        if (page.reset) {
+          setHasMoreByRoom((prev) => ({ ...prev, [conversationId]: page.hasMore }));
+        } else if (page.hasMore && page.messages.length) {
+          remaining[conversationId] = page.messages[page.messages.length - 1].seq;
+        }
+      });
+      if (Object.keys(remaining).length) {
+        syncMessages(remaining);
+      }
+    });
+  };
+
+  // Load the page before the oldest message held for the current room,
+  // or for the private conversation with another user
+  const loadOlderMessages = (withUserId) => {
+    const key = withUserId ? getPrivateRoomId(currentUser?.id, withUserId) : currentRoom;
+    if (loadingRef.current || hasMoreByRoom[key] === false) {
+      return Promise.resolve(null);
+    }
+
+    const oldest = messages.find(
+      (message) => message.roomId === key && !message.parentId && message.seq
+    );
+    const query = withUserId ? { with: withUserId } : { roomId: key };
+    if (oldest) {
+      query.beforeSeq = oldest.seq;
+    }
+
+    loadingRef.current = true;
+    return loadMessages(query, key).finally(() => {
+      loadingRef.current = false;
+    });
+  };
+
+  // Our own replies in a page at least reached the server
+  const mergeReplies = (replies) => {
+    const ownId = currentUserRef.current?.id;
+    setMessages((prev) =>
+      mergeMessages(
+        prev,
+        replies.map((reply) => (reply.senderId === ownId ? { ...reply, status: 'sent' } : reply))
+      )
+    );
+  };
+
+  // Open a message's thread, closing any other one; replies then stream in
+  // through thread_reply until the thread is closed
+  const openThread = (parentId) => {
+    const previous = threadRef.current?.parent.id;
+    if (previous && previous !== parentId) {
+      socket.emit('close_thread', { parentId: previous });
+    }
+
+    return request('open_thread', { parentId }).then((response) => {
+      if (!response?.error) {
+        threadRef.current = { parent: response.parent, hasMore: response.hasMore };
+        setThread(threadRef.current);
+        mergeReplies(response.messages);
+      }
+      return response;
+    });
+  };
+
+  const closeThread = () => {
+    const parentId = threadRef.current?.parent.id;
+    if (!parentId) {
+      return;
+    }
+
+    socket.emit('close_thread', { parentId });
+    threadRef.current = null;
+    setThread(null);
+    // Replies the server has confirmed can be fetched again; unsent ones stay
+    setMessages((prev) =>
+      prev.filter((message) => !(message.parentId === parentId && message.seq))
+    );
+  };
+
+  // Load the page before the oldest reply held for the open thread
+  const loadOlderReplies = () => {
+    if (!thread || !thread.hasMore || loadingRef.current) {
+      return Promise.resolve(null);
+    }
+
+    const parentId = thread.parent.id;
+    const oldest = messages.find((message) => message.parentId === parentId && message.seq);
+    const query = { threadId: parentId };
+    if (oldest) {
+      query.beforeSeq = oldest.seq;
+    }
+
+    loadingRef.current = true;
+    setIsLoadingMessages(true);
+    return new Promise((resolve) => {
+      socket.emit('load_messages', query, (response) => {
+        loadingRef.current = false;
+        setIsLoadingMessages(false);
+        if (!response?.error) {
+          mergeReplies(response.messages);
+          setThread((prev) =>
+            prev?.parent.id === parentId ? { ...prev, hasMore: response.hasMore } : prev
+          );
+        }
+        resolve(response);
+      });
+    });
+  };
+
+  // Join a room (or switch to one already joined)
+  const joinRoom = (roomId) =>
+    request('join_room', roomId).then((response) => {
+      if (!response?.error) {
+        joinedRoomsRef.current.add(roomId);
+        setCurrentRoom(roomId);
+        loadMessages({ roomId });
+      }
+      return response;
+    });
+
+  // Leave a room and fall back to the default room
+  const leaveRoom = (roomId) =>
+    request('leave_room', roomId).then((response) => {
+      if (!response?.error) {
+        joinedRoomsRef.current.delete(roomId);
+        if (roomId === currentRoom) {
+          setCurrentRoom(DEFAULT_ROOM);
+        }
+      }
+      return response;
+    });
+
+  // Create a new room and switch to it
+  const createRoom = (name) =>
+    request('create_room', { name }).then((response) => {
+      if (response?.room) {
+        joinedRoomsRef.current.add(response.room.id);
+        setCurrentRoom(response.room.id);
+      }
+      return response;
+    });
+
+  // Record the server's answer for an outgoing message and resolve its sender
+  const settleMessage = (clientId, error, response) => {
+    setMessages((prev) =>
+      prev.map((item) => {
+        if (item.clientId !== clientId) {
+          return item;
+        }
+        if (error) {
+          return { ...item, status: 'failed', error };
+        }
+        // Queued private messages reached the server but not the recipient yet
+        const status = response.status === 'queued' ? 'sent' : response.status;
+        return { ...item, ...response.message, status: advanceStatus(item.status, status) };
+      })
+    );
+
+    const resolve = resolversRef.current.get(clientId);
+    if (resolve) {
+      resolversRef.current.delete(clientId);
+      resolve(error ? { error } : response);
+    }
+  };
+
+  // Send outbox entries one at a time, in the order they were written. An entry
+  // that times out stays at the head of the outbox until the next attempt, and
+  // one the server rate limited is sent again once it allows more.
+  const flushOutbox = () => {
+    const [entry] = outboxRef.current;
+    if (!entry || flushingRef.current || !socket.connected || !joinedRef.current) {
+      return;
+    }
+
+    const { clientId } = entry.payload;
+    flushingRef.current = true;
+    setMessages((prev) =>
+      prev.map((item) =>
+        item.clientId === clientId && item.status === 'failed'
+          ? { ...item, status: 'pending', error: undefined }
+          : item
+      )
+    );
+
+    socket.timeout(ACK_TIMEOUT).emit(entry.event, entry.payload, (err, response) => {
+      flushingRef.current = false;
+      if (err) {
+        settleMessage(clientId, 'The server did not respond');
+        return;
+      }
+
+      if (response?.code === 'rate_limited') {
+        setTimeout(flushOutbox, response.retryAfterMs);
+        return;
+      }
+
+      updateOutbox(outboxRef.current.filter((item) => item.payload.clientId !== clientId));
+      settleMessage(clientId, response?.error, response);
+      flushOutbox();
+    });
+  };
+
+  // Show a message as pending straight away and queue it in the outbox; it is sent
+  // now if we are connected, otherwise as soon as we reconnect
+  const queueMessage = (event, payload, pending) => {
+    const clientId = randomId();
+    const message = {
+      ...pending,
+      id: clientId,
+      clientId,
+      sender: currentUser?.username,
+      senderId: currentUser?.id,
+      timestamp: new Date().toISOString(),
+      status: 'pending',
+    };
+
+    setMessages((prev) => upsertMessage(prev, message));
+    updateOutbox([...outboxRef.current, { event, payload: { ...payload, clientId }, message }]);
+
+    const result = new Promise((resolve) => {
+      resolversRef.current.set(clientId, resolve);
+    });
+    flushOutbox();
+    return result;
+  };
+
+  // Try the outbox again after a send timed out; the server ignores copies it already stored
+  const retryOutbox = () => {
+    flushOutbox();
+  };
+
+  // Run a slash command in the current room. Commands are not queued while offline; their
+  // reply or error is shown to us alone, and /join switches to the room it joined.
+  const runCommand = (message) => {
+    const roomId = currentRoom;
+    return request('send_message', { message, roomId }).then((response) => {
+      const text = response?.error || response?.reply;
+      if (text) {
+        setMessages((prev) => [
+          ...prev,
+          {
+            id: randomId(),
+            system: true,
+            roomId,
+            message: text,
+            timestamp: new Date().toISOString(),
+          },
+        ]);
+      }
+      if (response?.room && response.room.id !== roomId) {
+        joinedRoomsRef.current.add(response.room.id);
+        setCurrentRoom(response.room.id);
+        loadMessages({ roomId: response.room.id });
+      }
+      return response;
+    });
+  };
+
+  // Send a message to the current room, resolving to the server's ack. Text starting with
+  // '/' runs a command instead; start it with '//' to send it as a message.
   const sendMessage = (message) => {
-    socket.emit('send_message', { message });
+    if (message.startsWith('/') && !message.startsWith('//')) {
+      return runCommand(message);
+    }
+    const roomId = currentRoom;
+    return queueMessage('send_message', { message, roomId }, { message, roomId });
+  };
+
+  // Send a private message to a user id, resolving to { status: 'delivered' | 'queued', id, message }
+  // once the server has it
+  const sendPrivateMessage = (to, message) =>
+    queueMessage(
+      'private_message',
+      { to, message },
+      { message, to, isPrivate: true, roomId: getPrivateRoomId(currentUser?.id, to) }
+    );
+
+  // Upload a file and send it with an optional caption to the current room, or
+  // privately when a user id is given; resolves to the server's ack or { error }
+  const sendAttachment = async (file, message = '', to) => {
+    let attachment;
+    try {
+      attachment = await uploadAttachment(socket.auth?.token, file);
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    const attachments = [attachment.id];
+    if (to) {
+      return queueMessage(
+        'private_message',
+        { to, message, attachments },
+        {
+          message,
+          to,
+          isPrivate: true,
+          roomId: getPrivateRoomId(currentUser?.id, to),
+          attachments: [attachment],
+        }
+      );
+    }
+    const roomId = currentRoom;
+    return queueMessage(
+      'send_message',
+      { message, roomId, attachments },
+      { message, roomId, attachments: [attachment] }
+    );
   };
 
-  // Send a private message
-  const sendPrivateMessage = (to, message) => {
-    socket.emit('private_message', { to, message });
+  // Fetch an attachment (or its thumbnail) with our token and return an object URL
+  // for <img> or download links; release it with URL.revokeObjectURL when done
+  const loadAttachment = async (attachment, { thumbnail = false } = {}) => {
+    const url = thumbnail ? attachment.thumbnailUrl : attachment.url;
+    const response = await fetch(`${SOCKET_URL}${url}`, {
+      headers: { Authorization: `Bearer ${socket.auth?.token}` },
+    });
+    if (!response.ok) {
+      throw new Error('Failed to load attachment');
+    }
+    return URL.createObjectURL(await response.blob());
   };
 
-  // Set typing status
-  const setTyping = (isTyping) => {
-    socket.emit('typing', isTyping);
+  // Search message history, resolving to { results, total, hasMore }; each result has the
+  // message and a snippet of its text with highlights as { start, end } character ranges.
+  // Filters: sender (username), room or with (user id), since and until (dates),
+  // hasAttachment, and offset/limit for paging.
+  const searchMessages = async (query, filters = {}) => {
+    const params = new URLSearchParams({ q: query });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, value instanceof Date ? value.toISOString() : String(value));
+      }
+    });
+    const response = await fetch(`${SOCKET_URL}/api/search?${params}`, {
+      headers: { Authorization: `Bearer ${socket.auth?.token}` },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Search failed');
+    }
+    return data;
+  };
+
+  // Download a room (room) or private conversation (with, a user id) as a Blob in format
+  // json, markdown or html; since and until (dates) limit it to part of the history
+  const exportConversation = async ({ format = 'json', ...filters }) => {
+    const params = new URLSearchParams({ format });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, value instanceof Date ? value.toISOString() : String(value));
+      }
+    });
+    const response = await fetch(`${SOCKET_URL}/api/export?${params}`, {
+      headers: { Authorization: `Bearer ${socket.auth?.token}` },
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
+    return response.blob();
+  };
+
+  // Reply in the open thread, resolving to the server's ack
+  const sendReply = (message) => {
+    const parent = thread?.parent;
+    if (!parent) {
+      return Promise.resolve({ error: 'No thread is open' });
+    }
+
+    const parentId = parent.id;
+    if (parent.isPrivate) {
+      const to = parent.senderId === currentUser?.id ? parent.to : parent.senderId;
+      return queueMessage(
+        'private_message',
+        { to, message, parentId },
+        { message, to, isPrivate: true, roomId: parent.roomId, parentId }
+      );
+    }
+    return queueMessage(
+      'send_message',
+      { message, roomId: parent.roomId, parentId },
+      { message, roomId: parent.roomId, parentId }
+    );
+  };
+
+  // Change the text of one of our messages (moderators may change anyone's)
+  const editMessage = (messageId, message) => request('edit_message', { messageId, message });
+
+  // Delete a message, leaving a tombstone in its place
+  const deleteMessage = (messageId) => request('delete_message', { messageId });
+
+  // React to a message with an emoji, or take the reaction back
+  const addReaction = (messageId, emoji) => request('add_reaction', { messageId, emoji });
+
+  const removeReaction = (messageId, emoji) => request('remove_reaction', { messageId, emoji });
+
+  // Moderator actions; the server checks our role and answers with the notice it broadcast
+  const kickUser = (userId, reason) => request('kick_user', { userId, reason });
+
+  const muteUser = (userId, durationMinutes, reason) =>
+    request('mute_user', { userId, durationMinutes, reason });
+
+  const unmuteUser = (userId) => request('unmute_user', { userId });
+
+  const banUser = (userId, reason) => request('ban_user', { userId, reason });
+
+  const unbanUser = (userId) => request('unban_user', { userId });
+
+  // Owner only: make a user a moderator or a member again
+  const setUserRole = (userId, role) => request('set_role', { userId, role });
+
+  const deleteAnyMessage = (messageId) => request('delete_any_message', { messageId });
+
+  // Tell everyone in the conversation we have read up to and including this message
+  const markRead = (messageId) => {
+    socket.emit('mark_read', { messageId });
+  };
+
+  // Ask the browser for permission to notify us of mentions while the tab is hidden,
+  // resolving to whether notifications are now on
+  const enableNotifications = async () => {
+    if (typeof Notification === 'undefined') {
+      return false;
+    }
+    const permission =
+      Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+    setNotificationsEnabled(permission === 'granted');
+    return permission === 'granted';
+  };
+
+  const disableNotifications = () => {
+    setNotificationsEnabled(false);
+  };
+
+  // Choose online, away, busy or invisible, and optionally status text ('' clears it)
+  const setStatus = (status, text) => request('set_status', { status, text });
+
+  const setStatusText = (text) => request('set_status', { text });
+
+  // Call with true on every keystroke and false when the input is sent or cleared. The
+  // server hears `true` at most once per TYPING_REPEAT and `false` once typing pauses.
+  // Pass { to: userId } to type in a private conversation rather than the current room.
+  const setTyping = (isTyping, { to } = {}) => {
+    const target = to !== undefined ? { to } : { roomId: currentRoom };
+    const key = to !== undefined ? `to:${to}` : currentRoom;
+    const current = typingRef.current.get(key);
+    clearTimeout(current?.stopTimer);
+
+    if (!isTyping) {
+      if (current) {
+        typingRef.current.delete(key);
+        socket.emit('typing', false, target);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    const repeat = !current || now - current.sentAt >= TYPING_REPEAT;
+    if (repeat) {
+      socket.emit('typing', true, target);
+    }
+    typingRef.current.set(key, {
+      sentAt: repeat ? now : current.sentAt,
+      stopTimer: setTimeout(() => setTyping(false, { to }), TYPING_STOP_AFTER),
+    });
   };
 
   // Socket event listeners
@@ -55,21 +823,202 @@ export const useSocket = () => {
     // Connection events
     const onConnect = () => {
       setIsConnected(true);
+      setRateLimit(null);
+
+      // A new connection starts outside every room, so join the chat and our rooms again,
+      // waiting for the server to confirm before sending or syncing anything
+      rejoin();
+    };
+
+    const rejoin = async () => {
+      const joined = await request('user_join');
+      if (joined?.error) {
+        return;
+      }
+      if (idleRef.current) {
+        socket.emit('set_idle', true);
+      }
+      await Promise.all(
+        [...joinedRoomsRef.current]
+          .filter((roomId) => roomId !== DEFAULT_ROOM)
+          .map((roomId) =>
+            request('join_room', roomId).then((response) => {
+              if (response?.error) {
+                joinedRoomsRef.current.delete(roomId);
+              }
+            })
+          )
+      );
+      // A connection lost meanwhile starts over on the next connect
+      if (!socket.connected) {
+        return;
+      }
+      joinedRef.current = true;
+
+      // Send what was written while offline, then replay what we missed;
+      // late joiners start with the newest page
+      flushOutbox();
+      const cursors = getCursors(messagesRef.current);
+      if (Object.keys(cursors).length) {
+        syncMessages(cursors);
+      }
+      if (!cursors[currentRoomRef.current]) {
+        loadMessages({ roomId: currentRoomRef.current });
+      }
+      if (threadRef.current) {
+        openThread(threadRef.current.parent.id);
+      }
     };
 
     const onDisconnect = () => {
       setIsConnected(false);
+      joinedRef.current = false;
+      // Whatever was in flight is sent again on reconnect
+      flushingRef.current = false;
+    };
+
+    const onSession = ({ user }) => {
+      currentUserRef.current = user;
+      setCurrentUser(user);
+      if (outboxUserRef.current !== user.id) {
+        loadUserOutbox(user.id);
+      }
+    };
+
+    // Events sent without an ack are refused through request_error instead
+    const onRequestError = ({ event, ...response }) => {
+      recordError(event, response);
+    };
+
+    // The server refused an event; `disconnected` means we were cut off for flooding
+    const onRateLimited = ({ event, retryAfterMs, disconnected = false }) => {
+      setRateLimit({ event, retryAfterMs, until: Date.now() + retryAfterMs, disconnected });
+    };
+
+    // Handshake rejections from the server carry a code; network errors do not.
+    // Users blocked for flooding are told how long to wait before connecting again.
+    const onConnectError = (err) => {
+      if (err.data?.code === 'rate_limited') {
+        onRateLimited({ retryAfterMs: err.data.retryAfterMs, disconnected: true });
+      } else if (err.data?.code) {
+        setAuthError(err.message);
+      }
+    };
+
+    // A sequence number more than one past the newest we hold means we missed messages
+    const fillGap = (message) => {
+      const lastSeq = getCursors(messagesRef.current)[message.roomId];
+      if (lastSeq && message.seq > lastSeq + 1) {
+        syncMessages({ [message.roomId]: lastSeq });
+      }
     };
 
     // Message events
     const onReceiveMessage = (message) => {
+      fillGap(message);
       setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
+      setMessages((prev) => upsertMessage(prev, message));
     };
 
     const onPrivateMessage = (message) => {
+      fillGap(message);
       setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
+      setMessages((prev) => upsertMessage(prev, message));
+    };
+
+    // Replies to the open thread, kept apart from the timeline by their parentId
+    const onThreadReply = (message) => {
+      setMessages((prev) => upsertMessage(prev, message));
+    };
+
+    // Edits, deletions and new reply counts patch the message where it already sits in the list
+    const onMessageUpdated = (message) => {
+      setMessages((prev) =>
+        prev.map((item) => (item.id === message.id ? { ...item, ...message } : item))
+      );
+      setThread((prev) =>
+        prev?.parent.id === message.id ? { ...prev, parent: { ...prev.parent, ...message } } : prev
+      );
+    };
+
+    const onMessageDeleted = ({ id, deletedAt, deletedBy }) => {
+      setMessages((prev) =>
+        prev.map((item) =>
+          item.id === id ? { ...item, message: '', deleted: true, deletedAt, deletedBy } : item
+        )
+      );
+      setThread((prev) =>
+        prev?.parent.id === id
+          ? { ...prev, parent: { ...prev.parent, message: '', deleted: true, deletedAt, deletedBy } }
+          : prev
+      );
+    };
+
+    // Reaction updates carry the full set of users for the one emoji that changed
+    const onReactionUpdated = ({ messageId, emoji, users }) => {
+      setMessages((prev) =>
+        prev.map((item) => {
+          if (item.id !== messageId) {
+            return item;
+          }
+          const reactions = new Map(Object.entries(item.reactions || {}));
+          if (users.length) {
+            reactions.set(emoji, users);
+          } else {
+            reactions.delete(emoji);
+          }
+          return { ...item, reactions: Object.fromEntries(reactions) };
+        })
+      );
+    };
+
+    // Delivery and read receipt events
+    const onMessageDelivered = ({ id }) => {
+      setMessages((prev) =>
+        prev.map((item) =>
+          item.id === id ? { ...item, status: advanceStatus(item.status, 'delivered') } : item
+        )
+      );
+    };
+
+    const onMessageRead = ({ roomId, userId, ...position }) => {
+      setReadsByRoom((prev) => ({
+        ...prev,
+        [roomId]: { ...prev[roomId], [userId]: position },
+      }));
+      if (userId !== currentUserRef.current?.id) {
+        setMessages((prev) =>
+          applyReadPosition(prev, roomId, position, currentUserRef.current?.id)
+        );
+      }
+    };
+
+    // Counts arrive for the conversations that changed; zeroes mean all caught up
+    const onUnreadCounts = (changes) => {
+      setUnreadCounts((prev) => {
+        const next = { ...prev, ...changes };
+        Object.entries(changes).forEach(([conversationId, { unread, mentions }]) => {
+          if (!unread && !mentions) {
+            delete next[conversationId];
+          }
+        });
+        return next;
+      });
+    };
+
+    // Someone mentioned us; only worth a browser notification if we are not looking
+    const onMention = ({ message }) => {
+      if (!notificationsRef.current || !document.hidden) {
+        return;
+      }
+      const notification = new Notification(`${message.sender} mentioned you`, {
+        body: message.message,
+        tag: message.id,
+      });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
     };
 
     // User events
@@ -77,12 +1026,75 @@ export const useSocket = () => {
       setUsers(userList);
     };
 
+    // One user's presence changed; users we have not seen before are added
+    const onPresenceUpdate = (presence) => {
+      setUsers((prev) =>
+        prev.some((user) => user.id === presence.id)
+          ? prev.map((user) => (user.id === presence.id ? presence : user))
+          : [...prev, presence]
+      );
+    };
+
+    const onStatusUpdated = (status) => {
+      setOwnStatus(status);
+    };
+
+    // Room events
+    const onRoomList = (roomList) => {
+      setRooms(roomList);
+    };
+
+    const onRoomJoined = ({ room, users, typingUsers }) => {
+      setUsersByRoom((prev) => ({ ...prev, [room.id]: users }));
+      setTypingByRoom((prev) => ({ ...prev, [room.id]: typingUsers }));
+    };
+
+    const onRoomLeft = ({ roomId }) => {
+      setMessages((prev) => prev.filter((message) => message.roomId !== roomId));
+      setHasMoreByRoom((prev) => ({ ...prev, [roomId]: undefined }));
+      // The server closes threads in rooms we leave
+      if (threadRef.current?.parent.roomId === roomId) {
+        threadRef.current = null;
+        setThread(null);
+      }
+    };
+
+    const onRoomUsers = ({ roomId, users }) => {
+      setUsersByRoom((prev) => ({ ...prev, [roomId]: users }));
+    };
+
+    const onUserJoinedRoom = (user) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: randomId(),
+          system: true,
+          roomId: user.roomId,
+          message: `${user.username} joined the room`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    };
+
+    const onUserLeftRoom = (user) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: randomId(),
+          system: true,
+          roomId: user.roomId,
+          message: `${user.username} left the room`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    };
+
     const onUserJoined = (user) => {
       // You could add a system message here
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now(),
+          id: randomId(),
           system: true,
           message: `${user.username} joined the chat`,
           timestamp: new Date().toISOString(),
@@ -95,7 +1107,7 @@ export const useSocket = () => {
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now(),
+          id: randomId(),
           system: true,
           message: `${user.username} left the chat`,
           timestamp: new Date().toISOString(),
@@ -103,45 +1115,227 @@ export const useSocket = () => {
       ]);
     };
 
+    // Names change everywhere they are shown, except on messages already sent
+    const onUserRenamed = ({ id, username, previous }) => {
+      setUsers((prev) => prev.map((user) => (user.id === id ? { ...user, username } : user)));
+      setUsersByRoom((prev) =>
+        Object.fromEntries(
+          Object.entries(prev).map(([roomId, roomUsers]) => [
+            roomId,
+            roomUsers.map((user) => (user.id === id ? { ...user, username } : user)),
+          ])
+        )
+      );
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: randomId(),
+          system: true,
+          message: `${previous} is now known as ${username}`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    };
+
+    // The new topic also arrives in room_list
+    const onTopicChanged = ({ roomId, topic, setBy, timestamp }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: randomId(),
+          system: true,
+          roomId,
+          message: `${setBy.username} set the topic: ${topic}`,
+          timestamp,
+        },
+      ]);
+    };
+
+    // Moderator actions appear in the timeline; mutes on us are tracked for the UI
+    const onModerationNotice = (notice) => {
+      if (notice.userId === currentUserRef.current?.id) {
+        if (notice.action === 'mute') {
+          setMutedUntil(notice.until);
+        } else if (notice.action === 'unmute') {
+          setMutedUntil(null);
+        }
+      }
+
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: notice.id,
+          system: true,
+          roomId: notice.roomId,
+          message: describeNotice(notice),
+          timestamp: notice.timestamp,
+        },
+      ]);
+    };
+
     // Typing events
-    const onTypingUsers = (users) => {
-      setTypingUsers(users);
+    const onTypingUsers = ({ roomId, users }) => {
+      setTypingByRoom((prev) => ({ ...prev, [roomId]: users }));
     };
 
     // Register event listeners
     socket.on('connect', onConnect);
     socket.on('disconnect', onDisconnect);
+    socket.on('connect_error', onConnectError);
+    socket.on('rate_limited', onRateLimited);
+    socket.on('request_error', onRequestError);
+    socket.on('session', onSession);
     socket.on('receive_message', onReceiveMessage);
     socket.on('private_message', onPrivateMessage);
+    socket.on('thread_reply', onThreadReply);
+    socket.on('message_updated', onMessageUpdated);
+    socket.on('message_deleted', onMessageDeleted);
+    socket.on('reaction_updated', onReactionUpdated);
+    socket.on('message_delivered', onMessageDelivered);
+    socket.on('message_read', onMessageRead);
+    socket.on('unread_counts', onUnreadCounts);
+    socket.on('mention', onMention);
     socket.on('user_list', onUserList);
+    socket.on('presence_update', onPresenceUpdate);
+    socket.on('status_updated', onStatusUpdated);
     socket.on('user_joined', onUserJoined);
     socket.on('user_left', onUserLeft);
     socket.on('typing_users', onTypingUsers);
+    socket.on('moderation_notice', onModerationNotice);
+    socket.on('user_renamed', onUserRenamed);
+    socket.on('topic_changed', onTopicChanged);
+    socket.on('room_list', onRoomList);
+    socket.on('room_joined', onRoomJoined);
+    socket.on('room_left', onRoomLeft);
+    socket.on('room_users', onRoomUsers);
+    socket.on('user_joined_room', onUserJoinedRoom);
+    socket.on('user_left_room', onUserLeftRoom);
 
     // Clean up event listeners
     return () => {
       socket.off('connect', onConnect);
       socket.off('disconnect', onDisconnect);
+      socket.off('connect_error', onConnectError);
+      socket.off('rate_limited', onRateLimited);
+      socket.off('request_error', onRequestError);
+      socket.off('session', onSession);
       socket.off('receive_message', onReceiveMessage);
       socket.off('private_message', onPrivateMessage);
+      socket.off('thread_reply', onThreadReply);
+      socket.off('message_updated', onMessageUpdated);
+      socket.off('message_deleted', onMessageDeleted);
+      socket.off('reaction_updated', onReactionUpdated);
+      socket.off('message_delivered', onMessageDelivered);
+      socket.off('message_read', onMessageRead);
+      socket.off('unread_counts', onUnreadCounts);
+      socket.off('mention', onMention);
       socket.off('user_list', onUserList);
+      socket.off('presence_update', onPresenceUpdate);
+      socket.off('status_updated', onStatusUpdated);
       socket.off('user_joined', onUserJoined);
       socket.off('user_left', onUserLeft);
       socket.off('typing_users', onTypingUsers);
+      socket.off('moderation_notice', onModerationNotice);
+      socket.off('user_renamed', onUserRenamed);
+      socket.off('topic_changed', onTopicChanged);
+      socket.off('room_list', onRoomList);
+      socket.off('room_joined', onRoomJoined);
+      socket.off('room_left', onRoomLeft);
+      socket.off('room_users', onRoomUsers);
+      socket.off('user_joined_room', onUserJoinedRoom);
+      socket.off('user_left_room', onUserLeftRoom);
+    };
+  }, []);
+
+  // Report this tab idle after a while without input, and active again on the next input
+  useEffect(() => {
+    let timer;
+    const setIdle = (idle) => {
+      if (idleRef.current !== idle) {
+        idleRef.current = idle;
+        socket.emit('set_idle', idle);
+      }
+    };
+    const onActivity = () => {
+      setIdle(false);
+      clearTimeout(timer);
+      timer = setTimeout(() => setIdle(true), IDLE_AFTER);
+    };
+
+    onActivity();
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, onActivity, { passive: true })
+    );
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, onActivity));
     };
   }, []);
 
   return {
     socket,
     isConnected,
+    authError,
+    rateLimit,
+    lastError,
+    mutedUntil,
+    currentUser,
+    ownStatus,
     lastMessage,
-    messages,
+    // The main timeline; replies are listed under threadMessages while their thread is open
+    messages: messages.filter((message) => !message.parentId),
+    threadParent: thread?.parent || null,
+    threadMessages: thread
+      ? messages.filter((message) => message.parentId === thread.parent.id)
+      : [],
+    hasMoreReplies: Boolean(thread?.hasMore),
     users,
-    typingUsers,
+    typingUsers: typingByRoom[currentRoom] || [],
+    // Typing lists for every room and private conversation, by conversation id
+    typingByConversation: typingByRoom,
+    rooms,
+    currentRoom,
+    roomUsers: usersByRoom[currentRoom] || [],
+    hasMoreMessages: hasMoreByRoom[currentRoom] !== false,
+    isLoadingMessages,
+    readReceipts: readsByRoom[currentRoom] || {},
+    unreadCounts,
+    notificationsEnabled,
+    outboxSize,
     connect,
     disconnect,
+    clearError,
+    joinRoom,
+    leaveRoom,
+    createRoom,
+    loadOlderMessages,
+    openThread,
+    closeThread,
+    loadOlderReplies,
     sendMessage,
     sendPrivateMessage,
+    sendReply,
+    sendAttachment,
+    loadAttachment,
+    searchMessages,
+    exportConversation,
+    retryOutbox,
+    editMessage,
+    deleteMessage,
+    addReaction,
+    removeReaction,
+    kickUser,
+    muteUser,
+    unmuteUser,
+    banUser,
+    unbanUser,
+    setUserRole,
+    deleteAnyMessage,
+    markRead,
+    enableNotifications,
+    disableNotifications,
+    setStatus,
+    setStatusText,
     setTyping,
   };
 };
@@ -0,0 +1,93 @@
+// cluster.js - Runs the chat server as several worker processes sharing one port. The
+// primary holds the shared state and hands each connection to a worker, keeping every
+// client on the worker that holds its session; workers relay broadcasts to each other
+// through the cluster adapter. Start it with `node cluster.js` in place of `node server.js`.
+
+const cluster = require('cluster');
+const http = require('http');
+const dotenv = require('dotenv');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+
+// Load environment variables
+dotenv.config();
+
+const config = require('./config');
+const { createState, startState } = require('./state');
+const { serveState, relayToWorker } = require('./state/ipc');
+
+if (cluster.isWorker) {
+  require('./server');
+} else {
+  // Typing lists are broadcast by a worker, which reaches the sockets on every worker
+  const state = createState({
+    broadcastTyping: (conversationId, typingUsers) =>
+      relayToWorker('typing_users', conversationId, typingUsers),
+  });
+
+  // Workers sign and check tokens with the same secret, even a generated one
+  const fork = () => cluster.fork({ AUTH_SECRET: config.auth.secret });
+
+  // Workers report once they are serving connections
+  const ready = new Set();
+  cluster.on('message', (worker, message) => {
+    if (message?.type === 'worker:ready') {
+      ready.add(worker.id);
+    }
+  });
+
+  // Sockets on a worker that died are gone; its users go offline unless they have
+  // sockets on another worker, and a replacement takes its place. A worker that failed
+  // to start would only fail again, so it is not replaced.
+  cluster.on('exit', (worker, code, signal) => {
+    if (!ready.delete(worker.id)) {
+      console.error(`Worker ${worker.process.pid} failed to start`);
+      if (!Object.keys(cluster.workers).length) {
+        process.exit(1);
+      }
+      return;
+    }
+    console.error(`Worker ${worker.process.pid} exited (${signal || code}), starting another`);
+    fork();
+
+    try {
+      const changes = state.presence.disconnectOrigin(worker.id);
+      changes
+        .filter(({ entry }) => !entry.online)
+        .forEach(({ entry }) => state.typing.stopAll(entry.id));
+      relayToWorker('presence_changes', changes);
+    } catch (err) {
+      console.error('Failed to update presence for exited worker:', err);
+    }
+  });
+
+  // `kill -HUP` on the primary reloads the content filter rules and webhooks in every worker
+  process.on('SIGHUP', () => {
+    Object.values(cluster.workers).forEach((worker) => worker.process.kill('SIGHUP'));
+  });
+
+  const PORT = process.env.PORT || 5000;
+  startState(state)
+    .then(() => {
+      serveState(state);
+      setupPrimary();
+
+      // Connections are handed to workers as raw Buffers, which the default JSON
+      // messages would turn into strings
+      cluster.setupPrimary({ serialization: 'advanced' });
+
+      const server = http.createServer();
+      setupMaster(server, { loadBalancingMethod: 'least-connection' });
+      server.listen(PORT, () => {
+        console.log(`Server running on port ${PORT} with ${config.cluster.workers} workers`);
+      });
+
+      for (let i = 0; i < config.cluster.workers; i += 1) {
+        fork();
+      }
+    })
+    .catch((err) => {
+      console.error('Failed to load message history:', err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,149 @@
+// builtin.js - The slash commands every chat has
+
+const { hasRole } = require('../models/userStore');
+
+// Refuse a command that was typed without the arguments it needs
+const usage = (command) => ({ error: `Usage: ${command.usage}`, code: 'invalid_request' });
+
+// Mutes from /mute last this long unless a duration is given
+const DEFAULT_MUTE_MINUTES = 10;
+
+// Anyone can read a room's topic; setting it takes this role
+const TOPIC_ROLE = 'moderator';
+
+const builtinCommands = [
+  {
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Post an action, such as "/me waves", to the room',
+    async run({ command, text, post }) {
+      if (!text) {
+        return usage(command);
+      }
+      const { error, code } = await post(text, { action: true });
+      return error ? { error, code } : {};
+    },
+  },
+
+  {
+    name: 'nick',
+    usage: '/nick <name>',
+    description: 'Change your username, which you then also sign in with',
+    async run({ command, args, rename }) {
+      if (args.length !== 1) {
+        return usage(command);
+      }
+      const { user, error, code } = await rename(args[0]);
+      return error ? { error, code } : { reply: `You are now known as ${user.username}` };
+    },
+  },
+
+  {
+    name: 'join',
+    usage: '/join #<room>',
+    description: 'Join a room, creating it if there is none by that name',
+    async run({ command, text, joinRoom, createRoom }) {
+      const name = text.replace(/^#/, '');
+      if (!name) {
+        return usage(command);
+      }
+      let result = await joinRoom(name);
+      if (result.code === 'not_found') {
+        result = await createRoom(name);
+      }
+      if (result.error) {
+        return result;
+      }
+      return { reply: `Joined #${result.room.id}`, room: result.room };
+    },
+  },
+
+  {
+    name: 'msg',
+    usage: '/msg <user> <message>',
+    description: 'Send someone a private message',
+    async run({ command, args, text, findUser, postPrivate }) {
+      if (args.length < 2) {
+        return usage(command);
+      }
+      const recipient = await findUser(args[0].replace(/^@/, ''));
+      if (!recipient) {
+        return { error: `There is no user called ${args[0]}`, code: 'not_found' };
+      }
+
+      const message = text.slice(args[0].length).trim();
+      const { status, error, code } = await postPrivate(recipient.id, message);
+      if (error) {
+        return { error, code };
+      }
+      return {
+        reply:
+          status === 'queued'
+            ? `${recipient.username} is offline and will get your message when they return`
+            : `Message sent to ${recipient.username}`,
+      };
+    },
+  },
+
+  {
+    name: 'topic',
+    usage: '/topic [text]',
+    description: "Show the room's topic, or set it (moderators only)",
+    async run({ text, account, room, setTopic }) {
+      if (!text) {
+        return { reply: room.topic ? `Topic: ${room.topic}` : `#${room.id} has no topic` };
+      }
+      if (!hasRole(account, TOPIC_ROLE)) {
+        return { error: `Only ${TOPIC_ROLE}s can set the topic`, code: 'forbidden' };
+      }
+      const { error, code } = await setTopic(text);
+      return error ? { error, code } : {};
+    },
+  },
+
+  {
+    name: 'mute',
+    usage: '/mute <user> [minutes] [reason]',
+    description: 'Stop someone sending messages for a while',
+    role: 'moderator',
+    async run({ command, args, findUser, moderate }) {
+      const [name, minutes, ...reason] = args;
+      const durationMinutes = minutes === undefined ? DEFAULT_MUTE_MINUTES : Number(minutes);
+      if (!name || !Number.isInteger(durationMinutes) || durationMinutes < 1) {
+        return usage(command);
+      }
+      const target = await findUser(name.replace(/^@/, ''));
+      if (!target) {
+        return { error: `There is no user called ${name}`, code: 'not_found' };
+      }
+
+      const { notice, error, code } = await moderate('mute', {
+        userId: target.id,
+        durationMinutes,
+        reason: reason.join(' ') || undefined,
+      });
+      return error ? { error, code } : { reply: `Muted ${target.username} until ${notice.until}` };
+    },
+  },
+
+  {
+    name: 'help',
+    usage: '/help [command]',
+    description: 'List the commands you can use, or explain one',
+    async run({ args, commands }) {
+      const name = args[0]?.replace(/^\//, '').toLowerCase();
+      if (name) {
+        const command = commands.find((candidate) => candidate.name === name);
+        if (!command) {
+          return { error: `Unknown command /${name}; try /help`, code: 'unknown_command' };
+        }
+        return { reply: `${command.usage} - ${command.description}` };
+      }
+      return {
+        reply: commands.map((command) => `${command.usage} - ${command.description}`).join('\n'),
+      };
+    },
+  },
+];
+
+module.exports = { builtinCommands };
@@ -0,0 +1,114 @@
+// commands/index.js - Slash commands typed into the message box, such as "/me waves".
+//
+// A command is { name, usage, description, role, run }. `role` is the lowest role that
+// may use it (everyone when left out). `run(context)` resolves to { reply } with text for
+// the sender alone, or { error, code } when refused; the context carries the command's
+// `text` and its whitespace-separated `args`, plus the user, the room the command was
+// typed in and the actions commands can take (see runCommand in server.js).
+
+const fs = require('fs');
+const path = require('path');
+const { hasRole } = require('../models/userStore');
+
+const NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// A line starting with one slash is a command; two slashes send the text as a message
+const isCommand = (text) => text.startsWith('/') && !text.startsWith('//');
+
+// "//path" is sent as "/path"
+const unescapeCommand = (text) => (text.startsWith('//') ? text.slice(1) : text);
+
+// Split "/name rest of line" into the lower-cased name and the rest, or null
+const parseCommand = (text) => {
+  const match = /^\/([A-Za-z][\w-]*)(?:\s+([\s\S]*))?$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+  const rest = (match[2] || '').trim();
+  return { name: match[1].toLowerCase(), text: rest, args: rest ? rest.split(/\s+/) : [] };
+};
+
+const createCommandRegistry = () => {
+  // name -> command
+  const commands = new Map();
+
+  const register = (command) => {
+    if (!NAME_PATTERN.test(command?.name || '') || typeof command.run !== 'function') {
+      throw new Error('Commands need a lower-case name and a run function');
+    }
+    if (commands.has(command.name)) {
+      throw new Error(`Command /${command.name} is already registered`);
+    }
+    commands.set(command.name, {
+      usage: `/${command.name}`,
+      description: '',
+      role: 'member',
+      ...command,
+    });
+  };
+
+  return {
+    register,
+
+    get(name) {
+      return commands.get(name) || null;
+    },
+
+    // Commands an account may use, by name
+    list(account) {
+      return [...commands.values()]
+        .filter((command) => hasRole(account, command.role))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    // Run a command line for the account in `context`
+    async execute(line, context) {
+      const parsed = parseCommand(line);
+      const command = parsed && commands.get(parsed.name);
+      if (!command) {
+        const name = parsed ? `/${parsed.name}` : line.split(/\s/)[0];
+        return { error: `Unknown command ${name}; try /help`, code: 'unknown_command' };
+      }
+      if (!hasRole(context.account, command.role)) {
+        return { error: `Only ${command.role}s can use /${command.name}`, code: 'forbidden' };
+      }
+
+      try {
+        return await command.run({ ...context, command, text: parsed.text, args: parsed.args });
+      } catch (err) {
+        console.error(`Failed to run /${command.name}:`, err);
+        return { error: `/${command.name} failed`, code: 'server_error' };
+      }
+    },
+  };
+};
+
+// Register the commands in every .js file in a directory; each file exports a command or
+// an array of them. A plugin that fails to load is skipped so the rest still work.
+const loadCommandPlugins = (registry, dir) => {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith('.js')).sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to read command plugins:', err);
+    }
+    return;
+  }
+
+  files.forEach((file) => {
+    try {
+      [].concat(require(path.join(dir, file))).forEach(registry.register);
+    } catch (err) {
+      console.error(`Failed to load command plugin ${file}:`, err);
+    }
+  });
+};
+
+module.exports = {
+  isCommand,
+  unescapeCommand,
+  parseCommand,
+  createCommandRegistry,
+  loadCommandPlugins,
+};
@@ -0,0 +1,12 @@
+// shrug.js - Example command plugin. Every .js file in this directory is loaded at
+// startup and registers the command, or array of commands, it exports.
+
+module.exports = {
+  name: 'shrug',
+  usage: '/shrug [message]',
+  description: 'Post a message with ¯\\_(ツ)_/¯ on the end',
+  async run({ text, post }) {
+    const { error, code } = await post(`${text} ¯\\_(ツ)_/¯`.trim());
+    return error ? { error, code } : {};
+  },
+};
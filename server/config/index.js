@@ -0,0 +1,133 @@
+// config/index.js - Server configuration read from environment variables
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+if (!process.env.AUTH_SECRET) {
+  console.warn('AUTH_SECRET is not set; issued tokens will stop working when the server restarts');
+}
+
+module.exports = {
+  auth: {
+    secret: process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+    tokenTtlMs: Number(process.env.AUTH_TOKEN_TTL_HOURS ?? 24) * HOUR_MS,
+  },
+  userStore: {
+    // Set USER_STORE=memory to keep accounts only for the life of the process
+    filePath:
+      process.env.USER_STORE === 'memory'
+        ? null
+        : process.env.USER_STORE_PATH || path.join(DATA_DIR, 'users.json'),
+  },
+  roomStore: {
+    // Set ROOM_STORE=memory to keep created rooms and topics only for the life of the process
+    filePath:
+      process.env.ROOM_STORE === 'memory'
+        ? null
+        : process.env.ROOM_STORE_PATH || path.join(DATA_DIR, 'rooms.json'),
+  },
+  messageStore: {
+    // 'file' appends history to a JSON lines file, 'memory' keeps it in process
+    driver: process.env.MESSAGE_STORE || 'file',
+    filePath: process.env.MESSAGE_STORE_PATH || path.join(DATA_DIR, 'messages.jsonl'),
+    retention: {
+      // Messages kept per room or conversation (0 keeps everything)
+      maxCount: Number(process.env.MESSAGE_RETENTION_COUNT ?? 1000),
+      // Age after which messages are dropped (0 keeps everything)
+      maxAgeMs: Number(process.env.MESSAGE_RETENTION_DAYS ?? 0) * DAY_MS,
+    },
+  },
+  attachments: {
+    // Uploaded files, their thumbnails and attachments.json with their details
+    dir: process.env.ATTACHMENT_DIR || path.join(DATA_DIR, 'uploads'),
+    maxBytes: Number(process.env.ATTACHMENT_MAX_MB ?? 10) * 1024 * 1024,
+    // SVG is left out because browsers run scripts embedded in it
+    mimeTypes: [
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'text/plain',
+    ],
+    // Longest side of generated image thumbnails, in pixels
+    thumbnailSize: 320,
+  },
+  contentFilter: {
+    // Profanity, link and HTML rules; reload with POST /api/admin/filters/reload or SIGHUP
+    filePath: process.env.CONTENT_FILTER_PATH || path.join(__dirname, 'contentFilter.json'),
+  },
+  webhooks: {
+    // Incoming webhook tokens and outgoing webhook URLs (see utils/webhooks.js); reload
+    // with SIGHUP
+    filePath: process.env.WEBHOOKS_PATH || path.join(__dirname, 'webhooks.json'),
+    // Each outgoing delivery attempt gives up after this long, and failed ones are tried
+    // again this many times, waiting retryDelayMs and then twice as long each time
+    timeoutMs: 5000,
+    retries: Number(process.env.WEBHOOK_RETRIES ?? 3),
+    retryDelayMs: Number(process.env.WEBHOOK_RETRY_DELAY_MS ?? 1000),
+  },
+  commands: {
+    // Each .js file here registers slash commands of its own (see commands/index.js)
+    pluginDir:
+      process.env.COMMAND_PLUGIN_DIR || path.join(__dirname, '..', 'commands', 'plugins'),
+  },
+  limits: {
+    // Longest message text, in characters
+    maxMessageLength: Number(process.env.MAX_MESSAGE_LENGTH ?? 2000),
+    // Largest event payload a socket may send, in bytes
+    maxPayloadBytes: Number(process.env.MAX_PAYLOAD_KB ?? 16) * 1024,
+    // Most files a single message can carry
+    maxAttachments: 10,
+    // Longest emoji (or short code) accepted as a reaction
+    maxReactionLength: 32,
+    // Longest room topic set with /topic, in characters
+    maxTopicLength: 200,
+    // Largest conversation export POST /api/import accepts, in bytes
+    maxImportBytes: Number(process.env.MAX_IMPORT_MB ?? 50) * 1024 * 1024,
+  },
+  typing: {
+    // A typing indicator the client stops refreshing is cleared after this long
+    ttlMs: Number(process.env.TYPING_TTL_SECONDS ?? 6) * 1000,
+    // Each conversation's typing list is sent at most this often; changes in between
+    // go out together
+    broadcastMs: 500,
+  },
+  cluster: {
+    // Worker processes started by `node cluster.js`
+    workers: Number(process.env.CLUSTER_WORKERS) || os.cpus().length,
+  },
+  rateLimits: {
+    // Token buckets per event: up to `capacity` events in a burst, refilled at
+    // `perSecond`. Each socket has its own bucket, and each user one shared by all
+    // their sockets. Events not listed here use the default buckets.
+    events: {
+      default: {
+        socket: { capacity: 30, perSecond: 10 },
+        user: { capacity: 60, perSecond: 20 },
+      },
+      send_message: {
+        socket: { capacity: 10, perSecond: 2 },
+        user: { capacity: 20, perSecond: 4 },
+      },
+      private_message: {
+        socket: { capacity: 10, perSecond: 2 },
+        user: { capacity: 20, perSecond: 4 },
+      },
+      typing: {
+        socket: { capacity: 20, perSecond: 5 },
+        user: { capacity: 40, perSecond: 10 },
+      },
+    },
+    // Users refused this many times within the window are disconnected and kept
+    // out for blockMs
+    strikes: { max: Number(process.env.RATE_LIMIT_STRIKES ?? 20), windowMs: MINUTE_MS },
+    blockMs: Number(process.env.RATE_LIMIT_BLOCK_MINUTES ?? 5) * MINUTE_MS,
+  },
+};
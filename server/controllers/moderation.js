@@ -0,0 +1,161 @@
+// moderation.js - Moderator actions, shared by the socket events and the admin REST routes.
+// Every action resolves to { notice } on success or { error, code } when refused.
+
+const crypto = require('crypto');
+const { hasRole } = require('../models/userStore');
+
+const outranked = () => ({
+  error: 'You cannot moderate someone with the same or a higher role',
+  code: 'forbidden',
+});
+
+const createModerationController = ({
+  io,
+  userStore,
+  messageStore,
+  userRoom,
+  messageAudience,
+  removeMessage,
+  onRoleChange,
+}) => {
+  // Moderators act on users below their own role, never on themselves
+  const authorize = async (actorId, targetId) => {
+    const [actor, target] = await Promise.all([
+      userStore.findById(actorId),
+      userStore.findById(targetId),
+    ]);
+    if (!hasRole(actor, 'moderator')) {
+      return { error: 'Only moderators can do that', code: 'forbidden' };
+    }
+    if (!target) {
+      return { error: 'User not found', code: 'not_found' };
+    }
+    if (target.id === actor.id) {
+      return { error: 'You cannot moderate yourself', code: 'invalid_request' };
+    }
+    if (hasRole(target, actor.role)) {
+      return outranked();
+    }
+    return { actor, target };
+  };
+
+  // Tell everyone (or just the audience of a message) what a moderator did
+  const announce = (action, actor, target, details = {}, audience = null) => {
+    const notice = {
+      id: crypto.randomUUID(),
+      action,
+      userId: target.id,
+      username: target.username,
+      by: { id: actor.id, username: actor.username },
+      ...details,
+      timestamp: new Date().toISOString(),
+    };
+    (audience ? io.to(audience) : io).emit('moderation_notice', notice);
+    return notice;
+  };
+
+  // Run an action against a user once the actor is allowed to
+  const withTarget = (action) => async (actorId, { userId, ...options }) => {
+    const { actor, target, error, code } = await authorize(actorId, userId);
+    if (error) {
+      return { error, code };
+    }
+    return { notice: await action(actor, target, options) };
+  };
+
+  const muteUser = withTarget(async (actor, target, { durationMinutes, reason }) => {
+    const until = new Date(Date.now() + durationMinutes * 60 * 1000).toISOString();
+    await userStore.update(target.id, { mutedUntil: until });
+    return announce('mute', actor, target, { reason, until });
+  });
+
+  return {
+    // Disconnect every socket the user has open; they may connect again
+    kick: withTarget(async (actor, target, { reason }) => {
+      const notice = announce('kick', actor, target, { reason });
+      io.in(userRoom(target.id)).disconnectSockets(true);
+      return notice;
+    }),
+
+    // Stop the user sending messages for a while
+    async mute(actorId, options) {
+      if (!Number.isInteger(options.durationMinutes) || options.durationMinutes < 1) {
+        return { error: 'durationMinutes must be a whole number above 0', code: 'invalid_request' };
+      }
+      return muteUser(actorId, options);
+    },
+
+    unmute: withTarget(async (actor, target) => {
+      await userStore.update(target.id, { mutedUntil: null });
+      return announce('unmute', actor, target);
+    }),
+
+    // Keep the user out until unbanned: open sockets are closed and new ones refused
+    ban: withTarget(async (actor, target, { reason }) => {
+      await userStore.update(target.id, {
+        bannedAt: new Date().toISOString(),
+        bannedBy: actor.id,
+        banReason: reason ?? null,
+      });
+      const notice = announce('ban', actor, target, { reason });
+      io.in(userRoom(target.id)).disconnectSockets(true);
+      return notice;
+    }),
+
+    unban: withTarget(async (actor, target) => {
+      await userStore.update(target.id, { bannedAt: null, bannedBy: null, banReason: null });
+      return announce('unban', actor, target);
+    }),
+
+    // Only the owner hands out or takes back the moderator role
+    async setRole(actorId, { userId, role }) {
+      const actor = await userStore.findById(actorId);
+      if (!hasRole(actor, 'owner')) {
+        return { error: 'Only the owner can change roles', code: 'forbidden' };
+      }
+      if (!['member', 'moderator'].includes(role)) {
+        return { error: 'Role must be member or moderator', code: 'invalid_request' };
+      }
+
+      const { target, error, code } = await authorize(actorId, userId);
+      if (error) {
+        return { error, code };
+      }
+      const updated = await userStore.update(target.id, { role });
+      await onRoleChange(updated);
+      return { notice: announce('set_role', actor, target, { role }) };
+    },
+
+    // Remove any message, wherever it was posted, unless its author outranks the moderator
+    async deleteMessage(actorId, { messageId }) {
+      const actor = await userStore.findById(actorId);
+      if (!hasRole(actor, 'moderator')) {
+        return { error: 'Only moderators can do that', code: 'forbidden' };
+      }
+
+      const message = await messageStore.get(messageId);
+      if (!message) {
+        return { error: 'Message not found', code: 'not_found' };
+      }
+      if (message.deleted) {
+        return { error: 'Message has been deleted', code: 'message_deleted' };
+      }
+      const author = await userStore.findById(message.senderId);
+      if (author && author.id !== actor.id && hasRole(author, actor.role)) {
+        return outranked();
+      }
+
+      const deleted = await removeMessage(message, actor.id);
+      const notice = announce(
+        'delete_message',
+        actor,
+        { id: message.senderId, username: message.sender },
+        { messageId: deleted.id, roomId: deleted.roomId },
+        messageAudience(deleted)
+      );
+      return { notice };
+    },
+  };
+};
+
+module.exports = { createModerationController };
@@ -0,0 +1,86 @@
+// attachmentStore.js - Details of uploaded files, kept in memory and saved next to the files
+
+const fs = require('fs');
+const path = require('path');
+
+// Only the fields clients need to show or fetch an attachment
+const toPublicAttachment = ({ id, filename, mimeType, size, width, height, thumbnail }) => ({
+  id,
+  filename,
+  mimeType,
+  size,
+  width,
+  height,
+  url: `/api/attachments/${id}`,
+  thumbnailUrl: thumbnail ? `/api/attachments/${id}/thumbnail` : null,
+});
+
+const createAttachmentStore = ({ dir }) => {
+  const filePath = path.join(dir, 'attachments.json');
+  // id -> attachment details; the file itself is stored in dir under its id
+  const attachments = new Map();
+
+  let writes = Promise.resolve();
+  const save = () => {
+    const run = writes.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify([...attachments.values()], null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    });
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    dir,
+
+    async init() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        saved.forEach((attachment) => attachments.set(attachment.id, attachment));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    },
+
+    async add(attachment) {
+      const stored = { ...attachment, conversations: [], createdAt: new Date().toISOString() };
+      attachments.set(stored.id, stored);
+      await save();
+      return stored;
+    },
+
+    async get(id) {
+      return attachments.get(id) || null;
+    },
+
+    // Record that attachments were posted in a room or private conversation,
+    // so everyone who can read it can fetch them
+    async attach(ids, conversationId) {
+      let changed = false;
+      ids.forEach((id) => {
+        const attachment = attachments.get(id);
+        if (attachment && !attachment.conversations.includes(conversationId)) {
+          attachment.conversations.push(conversationId);
+          changed = true;
+        }
+      });
+      if (changed) {
+        await save();
+      }
+    },
+
+    filePath(attachment) {
+      return path.join(dir, attachment.id);
+    },
+
+    thumbnailPath(attachment) {
+      return path.join(dir, `${attachment.id}.thumb.webp`);
+    },
+  };
+};
+
+module.exports = { createAttachmentStore, toPublicAttachment };
@@ -0,0 +1,28 @@
+// deliveryQueue.js - Private messages waiting for an offline recipient to reconnect
+
+const createDeliveryQueue = () => {
+  // userId -> messages in the order they were sent
+  const pending = new Map();
+
+  return {
+    enqueue(userId, message) {
+      if (!pending.has(userId)) {
+        pending.set(userId, []);
+      }
+      pending.get(userId).push(message);
+    },
+
+    isQueued(userId, messageId) {
+      return (pending.get(userId) || []).some((message) => message.id === messageId);
+    },
+
+    // Remove and return everything queued for a user
+    drain(userId) {
+      const messages = pending.get(userId) || [];
+      pending.delete(userId);
+      return messages;
+    },
+  };
+};
+
+module.exports = { createDeliveryQueue };
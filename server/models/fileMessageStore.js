@@ -0,0 +1,115 @@
+// fileMessageStore.js - Durable message store backed by an append-only JSON lines file
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryMessageStore } = require('./memoryMessageStore');
+
+// Rewrite the file once it holds this many times more lines than live messages
+const COMPACT_RATIO = 2;
+const COMPACT_MIN_LINES = 500;
+
+const createFileMessageStore = ({ filePath, retention } = {}) => {
+  // Reads are served from memory; the file is the source of truth on startup
+  const memory = createMemoryMessageStore({ retention });
+  let linesWritten = 0;
+
+  // Run file writes one after another so lines keep their arrival order
+  let writes = Promise.resolve();
+  const enqueue = (task) => {
+    const run = writes.then(task);
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  const compact = () =>
+    enqueue(async () => {
+      const messages = await memory.find();
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(
+        tempPath,
+        messages.map((message) => `${JSON.stringify(message)}\n`).join('')
+      );
+      await fs.promises.rename(tempPath, filePath);
+      linesWritten = messages.length;
+    });
+
+  const shouldCompact = () =>
+    linesWritten > COMPACT_MIN_LINES && linesWritten > COMPACT_RATIO * memory.count();
+
+  // Every new or changed message is written as a full line; the last line for an id wins
+  const append = async (message) => {
+    await enqueue(async () => {
+      await fs.promises.appendFile(filePath, `${JSON.stringify(message)}\n`);
+      linesWritten += 1;
+    });
+
+    if (shouldCompact()) {
+      await compact();
+    }
+    return message;
+  };
+
+  return {
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      let contents = '';
+      try {
+        contents = await fs.promises.readFile(filePath, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+
+      const lines = contents.split('\n').filter(Boolean);
+      for (const line of lines) {
+        try {
+          await memory.restore(JSON.parse(line));
+        } catch (err) {
+          // A crash mid-write can leave a partial last line behind
+          console.warn(`Skipping unreadable line in ${filePath}`);
+        }
+      }
+      linesWritten = lines.length;
+
+      if (linesWritten > memory.count()) {
+        await compact();
+      }
+    },
+
+    async add(message) {
+      return append(await memory.add(message));
+    },
+
+    async update(id, changes) {
+      const updated = await memory.update(id, changes);
+      return updated && append(updated);
+    },
+
+    async modify(id, name, options) {
+      const updated = await memory.modify(id, name, options);
+      return updated && append(updated);
+    },
+
+    get: memory.get,
+
+    findByClientId: memory.findByClientId,
+
+    find: memory.find,
+
+    page: memory.page,
+
+    async prune() {
+      const removed = await memory.prune();
+      if (removed > 0) {
+        await compact();
+      }
+      return removed;
+    },
+
+    count: memory.count,
+  };
+};
+
+module.exports = { createFileMessageStore };
@@ -0,0 +1,241 @@
+// memoryMessageStore.js - Message store that keeps history in process memory
+
+const { messageUpdates } = require('./messageUpdates');
+
+// Thread replies live in a conversation of their own, next to the room they were posted in
+const threadKey = (parentId) => `thread:${parentId}`;
+const conversationOf = (message) =>
+  message.parentId ? threadKey(message.parentId) : message.roomId;
+
+const createMemoryMessageStore = ({ retention = {} } = {}) => {
+  const { maxCount = 0, maxAgeMs = 0 } = retention;
+
+  // conversation key (roomId or thread key) -> messages in sequence order
+  const conversations = new Map();
+  // conversation key -> last sequence number handed out; kept after retention drops messages
+  const lastSeq = new Map();
+  // String(id) -> message, for lookups by id
+  const byId = new Map();
+  // `${senderId}:${clientId}` -> message, so retried sends can be recognised
+  const byClientId = new Map();
+  const clientKey = (message) => `${message.senderId}:${message.clientId}`;
+
+  const forget = (message) => {
+    byId.delete(String(message.id));
+    byClientId.delete(clientKey(message));
+  };
+
+  // Drop messages past the count limit or older than the age limit
+  const applyRetention = (key) => {
+    const list = conversations.get(key);
+    const before = list.length;
+
+    let removed = [];
+    if (maxAgeMs > 0) {
+      const cutoff = Date.now() - maxAgeMs;
+      while (list.length && Date.parse(list[0].timestamp) < cutoff) {
+        removed.push(list.shift());
+      }
+    }
+
+    if (maxCount > 0 && list.length > maxCount) {
+      removed = removed.concat(list.splice(0, list.length - maxCount));
+    }
+    let threadReplies = 0;
+    removed.forEach((message) => {
+      forget(message);
+      // A dropped message takes its thread with it
+      const thread = conversations.get(threadKey(message.id));
+      if (thread) {
+        thread.forEach(forget);
+        threadReplies += thread.length;
+        conversations.delete(threadKey(message.id));
+        lastSeq.delete(threadKey(message.id));
+      }
+    });
+
+    if (!list.length) {
+      conversations.delete(key);
+    }
+
+    return before - list.length + threadReplies;
+  };
+
+  const insert = (message) => {
+    const key = conversationOf(message);
+    if (!conversations.has(key)) {
+      conversations.set(key, []);
+    }
+    // New messages go at the end; a restored one is placed by its sequence number
+    const list = conversations.get(key);
+    let index = list.length;
+    while (index > 0 && list[index - 1].seq > message.seq) {
+      index -= 1;
+    }
+    list.splice(index, 0, message);
+    lastSeq.set(key, Math.max(lastSeq.get(key) || 0, message.seq));
+    byId.set(String(message.id), message);
+    if (message.clientId) {
+      byClientId.set(clientKey(message), message);
+    }
+    applyRetention(key);
+    return message;
+  };
+
+  // Whether retention has dropped, or would drop, a message that is not held: it is past
+  // the age limit, its thread went with its parent, or a later message in its
+  // conversation is numbered and it is gone
+  const isRetired = (message) => {
+    const key = conversationOf(message);
+    return (
+      (maxAgeMs > 0 && Date.parse(message.timestamp) < Date.now() - maxAgeMs) ||
+      (message.parentId !== undefined && !byId.has(String(message.parentId))) ||
+      (message.seq !== undefined && message.seq <= (lastSeq.get(key) || 0))
+    );
+  };
+
+  // Swap in a new version of a message that is already stored
+  const replace = (message) => {
+    const list = conversations.get(conversationOf(message));
+    list[list.findIndex((item) => item.id === message.id)] = message;
+    byId.set(String(message.id), message);
+    if (message.clientId) {
+      byClientId.set(clientKey(message), message);
+    }
+    return message;
+  };
+
+  // Merge changes into a stored message, returning the new version or null if it is gone.
+  // `changes` may be a function of the current message for read-modify-write updates.
+  const update = (id, changes) => {
+    const current = byId.get(String(id));
+    if (!current) {
+      return null;
+    }
+    // Identity and position in the conversation never change
+    const { id: currentId, roomId, parentId, seq } = current;
+    const patch = typeof changes === 'function' ? changes(current) : changes;
+    return replace({ ...current, ...patch, id: currentId, roomId, parentId, seq });
+  };
+
+  return {
+    async init() {},
+
+    // Store a new message, giving it the next sequence number in its conversation
+    async add(message) {
+      return insert({ ...message, seq: (lastSeq.get(conversationOf(message)) || 0) + 1 });
+    },
+
+    // Put back a previously stored message, keeping its sequence number; a later copy of
+    // a message already restored replaces it. Copies of messages retention dropped (an
+    // edit or reaction saved before they aged out, say) are skipped, resolving to null.
+    async restore(message) {
+      if (byId.has(String(message.id))) {
+        return replace({ ...byId.get(String(message.id)), ...message });
+      }
+      if (isRetired(message)) {
+        return null;
+      }
+      return insert({
+        ...message,
+        seq: message.seq ?? (lastSeq.get(conversationOf(message)) || 0) + 1,
+      });
+    },
+
+    async update(id, changes) {
+      return update(id, changes);
+    },
+
+    // Apply one of the named updates in messageUpdates.js; unlike update() with a
+    // function, this also works when the store lives in another process
+    async modify(id, name, options) {
+      return update(id, (current) => messageUpdates[name](current, options));
+    },
+
+    async get(id) {
+      return byId.get(String(id)) || null;
+    },
+
+    async findByClientId(senderId, clientId) {
+      return byClientId.get(clientKey({ senderId, clientId })) || null;
+    },
+
+    // Messages for one room or conversation (without thread replies), the replies to one
+    // message when threadId is given, or every message when neither is
+    async find({ roomId, threadId } = {}) {
+      if (threadId !== undefined) {
+        return [...(conversations.get(threadKey(threadId)) || [])];
+      }
+      if (roomId !== undefined) {
+        return [...(conversations.get(roomId) || [])];
+      }
+      return [...conversations.values()]
+        .flat()
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    },
+
+    // A page of a conversation's history, newest page first unless paging forward.
+    // Passing threadId pages through the replies to that message instead.
+    // Cursors are message ids (before/after) or sequence numbers (beforeSeq/afterSeq).
+    async page({ roomId, threadId, before, after, beforeSeq, afterSeq, limit = 50 }) {
+      const key = threadId !== undefined ? threadKey(threadId) : roomId;
+      const list = conversations.get(key) || [];
+      const seqOf = (id) => {
+        const message = byId.get(String(id));
+        return message && conversationOf(message) === key ? message.seq : null;
+      };
+
+      const upper = before !== undefined ? seqOf(before) : beforeSeq;
+      const lower = after !== undefined ? seqOf(after) : afterSeq;
+
+      // Unknown message ids (for example pruned messages) return an empty page
+      if (upper === null || lower === null) {
+        return { messages: [], hasMore: false };
+      }
+
+      const firstIndex = (predicate) => {
+        const index = list.findIndex(predicate);
+        return index === -1 ? list.length : index;
+      };
+      const start = lower !== undefined ? firstIndex((message) => message.seq > lower) : 0;
+      const end = upper !== undefined ? firstIndex((message) => message.seq >= upper) : list.length;
+
+      if (start >= end) {
+        return { messages: [], hasMore: false };
+      }
+
+      if (lower !== undefined && upper === undefined) {
+        return {
+          messages: list.slice(start, start + limit),
+          hasMore: start + limit < end,
+        };
+      }
+      return {
+        messages: list.slice(Math.max(start, end - limit), end),
+        hasMore: end - limit > start,
+      };
+    },
+
+    // Apply the retention policy to every conversation, returning how many messages were dropped
+    async prune() {
+      let removed = 0;
+      [...conversations.keys()].forEach((key) => {
+        // Threads may already be gone with their parent
+        if (conversations.has(key)) {
+          removed += applyRetention(key);
+        }
+      });
+      return removed;
+    },
+
+    count() {
+      let total = 0;
+      conversations.forEach((list) => {
+        total += list.length;
+      });
+      return total;
+    },
+  };
+};
+
+module.exports = { createMemoryMessageStore };
@@ -0,0 +1,24 @@
+// messageStore.js - Pick a message store implementation from configuration
+
+const { createMemoryMessageStore } = require('./memoryMessageStore');
+const { createFileMessageStore } = require('./fileMessageStore');
+
+const drivers = {
+  memory: createMemoryMessageStore,
+  file: createFileMessageStore,
+};
+
+// Every store exposes init(), add(message), update(id, changes), modify(id, name, options),
+// get(id), findByClientId(senderId, clientId), find({ roomId, threadId }),
+// page({ roomId, threadId, before, after, beforeSeq, afterSeq, limit }), prune() and count().
+// add() returns the stored copy with its per-conversation `seq` number; replies
+// (messages with a parentId) are numbered within their thread, not their room.
+const createMessageStore = ({ driver = 'memory', ...options } = {}) => {
+  const create = drivers[driver];
+  if (!create) {
+    throw new Error(`Unknown message store driver: ${driver}`);
+  }
+  return create(options);
+};
+
+module.exports = { createMessageStore };
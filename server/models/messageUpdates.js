@@ -0,0 +1,31 @@
+// messageUpdates.js - Read-modify-write changes to a stored message, looked up by name so
+// they can run in whichever process holds the message store
+
+const messageUpdates = {
+  // A new reply was posted in the message's thread
+  reply: (current, { timestamp }) => ({
+    replyCount: (current.replyCount || 0) + 1,
+    lastReplyAt: timestamp,
+  }),
+
+  // Add or remove one user's reaction; reactions are stored as emoji -> user ids
+  reaction: (current, { emoji, userId, action }) => {
+    // A Map keeps client-chosen keys such as "__proto__" as plain data
+    const reactions = new Map(Object.entries(current.reactions || {}));
+    const reactors = new Set(reactions.get(emoji) || []);
+    if (action === 'add') {
+      reactors.add(userId);
+    } else {
+      reactors.delete(userId);
+    }
+
+    if (reactors.size) {
+      reactions.set(emoji, [...reactors]);
+    } else {
+      reactions.delete(emoji);
+    }
+    return { reactions: Object.fromEntries(reactions) };
+  },
+};
+
+module.exports = { messageUpdates };
@@ -0,0 +1,134 @@
+// presence.js - Who is online, the status they chose, whether they have gone idle and
+// when everyone was last seen
+
+const STATUSES = ['online', 'away', 'busy', 'invisible'];
+
+// What other users see: invisible users appear offline, and idle users away
+const toPresence = ({ id, username, role, status, statusText, idle, online, lastSeen }) => {
+  const visible = online && status !== 'invisible';
+  let shown = 'offline';
+  if (visible) {
+    shown = status === 'online' && idle ? 'away' : status;
+  }
+  return {
+    id,
+    username,
+    role,
+    status: shown,
+    statusText: visible ? statusText : null,
+    lastSeen: visible ? null : lastSeen,
+  };
+};
+
+const createPresence = () => {
+  // userId -> { id, username, role, status, statusText, idle, online, lastSeen },
+  // kept after users disconnect so their last seen time is remembered
+  const entries = new Map();
+  // userId -> socketId -> { idle, origin } for the sockets each user has joined with;
+  // `origin` is the process holding the socket
+  const sockets = new Map();
+
+  // Store a change to an entry; every change resolves to the entry before and after it
+  const update = (userId, changes) => {
+    const previous = entries.get(userId) || null;
+    const entry = { ...previous, ...changes };
+    entries.set(userId, entry);
+    return { previous, entry };
+  };
+
+  // Recount a user's sockets: they are online with any open, and idle once all of them are
+  const refresh = (userId) => {
+    const open = [...(sockets.get(userId) || new Map()).values()];
+    if (open.length) {
+      return update(userId, { online: true, idle: open.every(({ idle }) => idle) });
+    }
+
+    sockets.delete(userId);
+    const entry = entries.get(userId);
+    // Invisible users were last seen when they went invisible
+    const lastSeen = entry.status === 'invisible' ? entry.lastSeen : new Date().toISOString();
+    return update(userId, { online: false, idle: false, lastSeen });
+  };
+
+  return {
+    // A socket joined the chat; the status the user chose last time still applies, and
+    // the user is active again since a new socket starts out that way
+    connect({ id, username, role }, socketId, origin = null) {
+      const previous = entries.get(id) || null;
+      if (!sockets.has(id)) {
+        sockets.set(id, new Map());
+      }
+      sockets.get(id).set(socketId, { idle: false, origin });
+      const { entry } = update(id, {
+        id,
+        username,
+        role,
+        status: previous?.status || 'online',
+        statusText: previous?.statusText ?? null,
+        idle: false,
+        online: true,
+        lastSeen: previous?.lastSeen ?? null,
+      });
+      return { previous, entry };
+    },
+
+    // A socket left; resolves to null for a socket that never joined
+    disconnect(userId, socketId) {
+      if (!sockets.get(userId)?.delete(socketId)) {
+        return null;
+      }
+      return refresh(userId);
+    },
+
+    // Every socket a process held is gone, for example when a cluster worker exits.
+    // Resolves to the change for each user who had sockets there.
+    disconnectOrigin(origin) {
+      const changes = [];
+      sockets.forEach((userSockets, userId) => {
+        const before = userSockets.size;
+        userSockets.forEach((socket, socketId) => {
+          if (socket.origin === origin) {
+            userSockets.delete(socketId);
+          }
+        });
+        if (userSockets.size !== before) {
+          changes.push(refresh(userId));
+        }
+      });
+      return changes;
+    },
+
+    // A socket reported that its tab has gone idle or become active again
+    setIdle(userId, socketId, idle) {
+      const socket = sockets.get(userId)?.get(socketId);
+      if (!socket) {
+        return null;
+      }
+      socket.idle = idle;
+      return refresh(userId);
+    },
+
+    // Change the chosen status or status text, or the role others see
+    update(userId, changes) {
+      const entry = entries.get(userId);
+      if (changes.status === 'invisible' && entry.status !== 'invisible') {
+        return update(userId, { ...changes, lastSeen: new Date().toISOString() });
+      }
+      return update(userId, changes);
+    },
+
+    get(userId) {
+      return entries.get(userId) || null;
+    },
+
+    isOnline(userId) {
+      return Boolean(entries.get(userId)?.online);
+    },
+
+    list() {
+      return [...entries.values()];
+    },
+  };
+};
+
+module.exports = { STATUSES, createPresence, toPresence };
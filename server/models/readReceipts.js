@@ -0,0 +1,31 @@
+// readReceipts.js - How far each user has read in each room or private conversation
+
+const createReadReceipts = () => {
+  // conversationId -> userId -> { messageId, timestamp, readAt }
+  const positions = new Map();
+
+  return {
+    // Move a user's read position forward, returning false if it would go backwards
+    mark(conversationId, userId, { messageId, timestamp }) {
+      if (!positions.has(conversationId)) {
+        positions.set(conversationId, new Map());
+      }
+
+      const readers = positions.get(conversationId);
+      const current = readers.get(userId);
+      if (current && Date.parse(current.timestamp) >= Date.parse(timestamp)) {
+        return false;
+      }
+
+      readers.set(userId, { messageId, timestamp, readAt: new Date().toISOString() });
+      return true;
+    },
+
+    // userId -> read position for everyone who has read part of a conversation
+    get(conversationId) {
+      return Object.fromEntries(positions.get(conversationId) || []);
+    },
+  };
+};
+
+module.exports = { createReadReceipts };
@@ -0,0 +1,48 @@
+// reviewQueue.js - Messages the content filter flagged, waiting for a moderator's decision
+
+const crypto = require('crypto');
+
+const createReviewQueue = () => {
+  // review id -> review, in the order they were flagged
+  const reviews = new Map();
+
+  return {
+    add(message, reasons) {
+      const review = {
+        id: crypto.randomUUID(),
+        messageId: message.id,
+        roomId: message.roomId,
+        senderId: message.senderId,
+        sender: message.sender,
+        message: message.message,
+        reasons,
+        status: 'pending',
+        flaggedAt: new Date().toISOString(),
+      };
+      reviews.set(review.id, review);
+      return review;
+    },
+
+    get(id) {
+      return reviews.get(id) || null;
+    },
+
+    // Reviews with the given status, oldest first, or all of them
+    list({ status } = {}) {
+      const all = [...reviews.values()];
+      return status ? all.filter((review) => review.status === status) : all;
+    },
+
+    // Record a moderator's decision: 'approved' keeps the message, 'removed' deleted it
+    resolve(id, status, resolvedBy) {
+      const review = reviews.get(id);
+      if (!review) {
+        return null;
+      }
+      Object.assign(review, { status, resolvedBy, resolvedAt: new Date().toISOString() });
+      return review;
+    },
+  };
+};
+
+module.exports = { createReviewQueue };
@@ -0,0 +1,76 @@
+// roomStore.js - The chat rooms every user can join, kept in memory and optionally saved
+// to a JSON file
+
+const fs = require('fs');
+const path = require('path');
+
+const createRoomStore = ({ rooms: defaults = [], filePath } = {}) => {
+  // room id -> room, in the order the rooms were created
+  const rooms = new Map(defaults.map((room) => [room.id, room]));
+
+  let writes = Promise.resolve();
+  const save = () => {
+    if (!filePath) {
+      return Promise.resolve();
+    }
+
+    const run = writes.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify([...rooms.values()], null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    });
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    // Load saved rooms; the default rooms keep their saved topics and are added if missing
+    async init() {
+      if (!filePath) {
+        return;
+      }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        saved.forEach((room) => rooms.set(room.id, room));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+      await save();
+    },
+
+    async get(id) {
+      return rooms.get(id) || null;
+    },
+
+    async list() {
+      return [...rooms.values()];
+    },
+
+    // Add a room unless its id is taken, resolving to whether it was added
+    async add(room) {
+      if (rooms.has(room.id)) {
+        return false;
+      }
+      rooms.set(room.id, room);
+      await save();
+      return true;
+    },
+
+    // Merge changes into a room, resolving to the new version or null if there is none
+    async update(id, changes) {
+      if (!rooms.has(id)) {
+        return null;
+      }
+      const room = { ...rooms.get(id), ...changes, id };
+      rooms.set(id, room);
+      await save();
+      return room;
+    },
+  };
+};
+
+module.exports = { createRoomStore };
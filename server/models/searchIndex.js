@@ -0,0 +1,138 @@
+// searchIndex.js - In-memory full-text index over message text, kept up to date as
+// messages are sent, edited and deleted
+
+// Words are runs of letters and digits, compared without case
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+const tokenize = (text) => (text || '').toLowerCase().match(WORD_PATTERN) || [];
+
+// Whether a word in the text matches one of the query terms; terms match the start of words
+const matchesTerm = (word, terms) => terms.some((term) => word.startsWith(term));
+
+// A slice of the text around the first match, with the character ranges of every match in it
+const buildSnippet = (text, terms) => {
+  const matches = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (matchesTerm(match[0].toLowerCase(), terms)) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  const first = matches[0]?.start ?? 0;
+  const start = text.length <= SNIPPET_LENGTH ? 0 : Math.max(0, first - SNIPPET_LEAD);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({
+        start: match.start - start + prefix.length,
+        end: match.end - start + prefix.length,
+      })),
+  };
+};
+
+// Every filter that is set must match: readerId with roomIds keeps messages in those rooms
+// and that user's private conversations; sender compares usernames without case, from and
+// to bound the timestamp in milliseconds, and hasAttachment is true or false
+const matchesFilters = (message, filters) => {
+  const { readerId, roomIds, conversationId, sender, from, to, hasAttachment } = filters;
+  const time = Date.parse(message.timestamp);
+  const isReadable = () =>
+    message.isPrivate
+      ? [message.senderId, message.to].includes(readerId)
+      : roomIds.includes(message.roomId);
+  return (
+    (readerId === undefined || isReadable()) &&
+    (conversationId === undefined || message.roomId === conversationId) &&
+    (sender === undefined || message.sender.toLowerCase() === sender.toLowerCase()) &&
+    (from === undefined || time >= from) &&
+    (to === undefined || time <= to) &&
+    (hasAttachment === undefined || (message.attachments?.length > 0) === hasAttachment)
+  );
+};
+
+const createSearchIndex = () => {
+  // message id -> the indexed message and its distinct words
+  const documents = new Map();
+  // word -> ids of the messages containing it
+  const postings = new Map();
+
+  const remove = (id) => {
+    const document = documents.get(String(id));
+    if (!document) {
+      return;
+    }
+    document.words.forEach((word) => {
+      const ids = postings.get(word);
+      ids.delete(String(id));
+      if (!ids.size) {
+        postings.delete(word);
+      }
+    });
+    documents.delete(String(id));
+  };
+
+  // Ids of messages with a word starting with the term
+  const idsMatching = (term) => {
+    const ids = new Set();
+    postings.forEach((wordIds, word) => {
+      if (word.startsWith(term)) {
+        wordIds.forEach((id) => ids.add(id));
+      }
+    });
+    return ids;
+  };
+
+  return {
+    // Index a new message or re-index a changed one; deleted messages are dropped
+    add(message) {
+      remove(message.id);
+      if (message.deleted) {
+        return;
+      }
+      const words = new Set(tokenize(message.message));
+      documents.set(String(message.id), { message, words });
+      words.forEach((word) => {
+        if (!postings.has(word)) {
+          postings.set(word, new Set());
+        }
+        postings.get(word).add(String(message.id));
+      });
+    },
+
+    remove,
+
+    // Messages containing every query term and matching `filters`, newest first, each with
+    // a snippet of its text. Without terms every indexed message is a candidate.
+    search(query, filters = {}) {
+      const terms = [...new Set(tokenize(query))];
+
+      let ids = null;
+      for (const term of terms) {
+        const matching = idsMatching(term);
+        ids = ids ? new Set([...ids].filter((id) => matching.has(id))) : matching;
+        if (!ids.size) {
+          return [];
+        }
+      }
+
+      return [...(ids || documents.keys())]
+        .map((id) => documents.get(id).message)
+        .filter((message) => matchesFilters(message, filters))
+        .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+        .map((message) => ({ message, snippet: buildSnippet(message.message || '', terms) }));
+    },
+
+    count() {
+      return documents.size;
+    },
+  };
+};
+
+module.exports = { createSearchIndex };
@@ -0,0 +1,46 @@
+// unreadCounts.js - How many unread messages and mentions each user has in each room or
+// private conversation
+
+const createUnreadCounts = () => {
+  // userId -> conversationId -> { unread, mentions }
+  const counts = new Map();
+
+  const countsFor = (userId) => {
+    if (!counts.has(userId)) {
+      counts.set(userId, new Map());
+    }
+    return counts.get(userId);
+  };
+
+  return {
+    // Count one more message for a user, returning their new counts for the conversation
+    increment(userId, conversationId, { unread = true, mention = false } = {}) {
+      const conversations = countsFor(userId);
+      const current = conversations.get(conversationId) || { unread: 0, mentions: 0 };
+      const next = {
+        unread: current.unread + (unread ? 1 : 0),
+        mentions: current.mentions + (mention ? 1 : 0),
+      };
+      conversations.set(conversationId, next);
+      return next;
+    },
+
+    // Replace a user's counts for a conversation, for example after they read part of it
+    set(userId, conversationId, { unread, mentions }) {
+      const conversations = countsFor(userId);
+      if (unread || mentions) {
+        conversations.set(conversationId, { unread, mentions });
+      } else {
+        conversations.delete(conversationId);
+      }
+      return { unread, mentions };
+    },
+
+    // conversationId -> { unread, mentions } for every conversation with something unread
+    get(userId) {
+      return Object.fromEntries(counts.get(userId) || []);
+    },
+  };
+};
+
+module.exports = { createUnreadCounts };
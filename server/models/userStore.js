@@ -0,0 +1,136 @@
+// userStore.js - Registered accounts, kept in memory and optionally saved to a JSON file
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Roles from least to most privileged; each role can do everything the ones before it can
+const ROLES = ['member', 'moderator', 'owner'];
+
+// Usernames are 3 to 20 letters, digits, dots, dashes or underscores
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,20}$/;
+
+const hasRole = (account, role) => ROLES.indexOf(account?.role) >= ROLES.indexOf(role);
+
+const isMuted = (account, now = Date.now()) =>
+  Boolean(account?.mutedUntil) && Date.parse(account.mutedUntil) > now;
+
+// Only the fields that are safe to send to other clients
+const toPublicUser = ({ id, username, role }) => ({ id, username, role });
+
+const createUserStore = ({ filePath } = {}) => {
+  // Lower-cased username -> account, so names are unique regardless of case
+  const accounts = new Map();
+
+  const findAccount = (id) => [...accounts.values()].find((account) => account.id === id) || null;
+
+  let writes = Promise.resolve();
+  const save = () => {
+    if (!filePath) {
+      return Promise.resolve();
+    }
+
+    const run = writes.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify([...accounts.values()], null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    });
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async init() {
+      if (!filePath) {
+        return;
+      }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        saved.forEach((account) =>
+          accounts.set(account.username.toLowerCase(), { role: 'member', ...account })
+        );
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+
+      // Accounts saved before roles existed: the oldest one owns the chat
+      const all = [...accounts.values()];
+      if (all.length && !all.some((account) => account.role === 'owner')) {
+        all.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))[0].role = 'owner';
+        await save();
+      }
+    },
+
+    async create({ username, passwordHash }) {
+      const key = username.toLowerCase();
+      if (accounts.has(key)) {
+        return null;
+      }
+
+      // The first account registered owns the chat
+      const account = {
+        id: crypto.randomUUID(),
+        username,
+        passwordHash,
+        role: accounts.size === 0 ? 'owner' : 'member',
+        createdAt: new Date().toISOString(),
+      };
+      accounts.set(key, account);
+      await save();
+      return account;
+    },
+
+    async findByUsername(username) {
+      return accounts.get(String(username).toLowerCase()) || null;
+    },
+
+    async findById(id) {
+      return findAccount(id);
+    },
+
+    async list() {
+      return [...accounts.values()];
+    },
+
+    // Merge changes into an account, returning the new version or null if there is none
+    async update(id, changes) {
+      const current = findAccount(id);
+      if (!current) {
+        return null;
+      }
+
+      const account = { ...current, ...changes, id: current.id, username: current.username };
+      accounts.set(account.username.toLowerCase(), account);
+      await save();
+      return account;
+    },
+
+    // Give an account a new username, returning null if another account has it
+    async rename(id, username) {
+      const current = findAccount(id);
+      const key = username.toLowerCase();
+      if (!current || (accounts.has(key) && accounts.get(key).id !== id)) {
+        return null;
+      }
+
+      const account = { ...current, username };
+      accounts.delete(current.username.toLowerCase());
+      accounts.set(key, account);
+      await save();
+      return account;
+    },
+  };
+};
+
+module.exports = {
+  createUserStore,
+  toPublicUser,
+  hasRole,
+  isMuted,
+  ROLES,
+  USERNAME_PATTERN,
+};
@@ -0,0 +1,170 @@
+// admin.js - REST versions of the moderator actions, for moderators and the owner
+
+const express = require('express');
+const { hasRole, toPublicUser } = require('../models/userStore');
+
+// HTTP statuses for the error codes the moderation controller returns
+const STATUS_BY_CODE = {
+  invalid_request: 400,
+  forbidden: 403,
+  not_found: 404,
+  message_deleted: 410,
+};
+
+// Details moderators see about every account
+const toAdminUser = (account) => ({
+  ...toPublicUser(account),
+  mutedUntil: account.mutedUntil || null,
+  bannedAt: account.bannedAt || null,
+  bannedBy: account.bannedBy || null,
+  banReason: account.banReason || null,
+  createdAt: account.createdAt,
+});
+
+// `onFiltersReloaded` runs after the content filter rules were reloaded successfully
+const createAdminRouter = ({
+  userStore,
+  moderation,
+  reviewQueue,
+  contentFilter,
+  onFiltersReloaded = () => {},
+}) => {
+  const router = express.Router();
+
+  // Roles can change at any time, so check the stored account rather than the token
+  router.use(async (req, res, next) => {
+    try {
+      const account = await userStore.findById(req.user.id);
+      if (!hasRole(account, 'moderator')) {
+        return res.status(403).json({ error: 'Only moderators can do that' });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Run a controller action and answer with its notice or its error
+  const act = (action, getOptions) => async (req, res) => {
+    try {
+      const { notice, error, code } = await moderation[action](req.user.id, getOptions(req));
+      if (error) {
+        return res.status(STATUS_BY_CODE[code] || 400).json({ error, code });
+      }
+      res.json({ notice });
+    } catch (err) {
+      console.error(`Failed to ${action}:`, err);
+      res.status(500).json({ error: 'Moderation action failed' });
+    }
+  };
+
+  const reason = (req) =>
+    typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 200) : undefined;
+
+  router.get('/users', async (req, res) => {
+    try {
+      res.json((await userStore.list()).map(toAdminUser));
+    } catch (err) {
+      console.error('Failed to list users:', err);
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  });
+
+  router.post(
+    '/users/:id/kick',
+    act('kick', (req) => ({ userId: req.params.id, reason: reason(req) }))
+  );
+
+  router.post(
+    '/users/:id/mute',
+    act('mute', (req) => ({
+      userId: req.params.id,
+      durationMinutes: Number(req.body?.durationMinutes),
+      reason: reason(req),
+    }))
+  );
+
+  router.delete('/users/:id/mute', act('unmute', (req) => ({ userId: req.params.id })));
+
+  router.post(
+    '/users/:id/ban',
+    act('ban', (req) => ({ userId: req.params.id, reason: reason(req) }))
+  );
+
+  router.delete('/users/:id/ban', act('unban', (req) => ({ userId: req.params.id })));
+
+  router.put(
+    '/users/:id/role',
+    act('setRole', (req) => ({ userId: req.params.id, role: req.body?.role }))
+  );
+
+  router.delete(
+    '/messages/:id',
+    act('deleteMessage', (req) => ({ messageId: req.params.id }))
+  );
+
+  // Messages the content filter flagged; ?status=pending|approved|removed narrows the list
+  router.get('/reviews', async (req, res) => {
+    try {
+      res.json(await reviewQueue.list({ status: req.query.status }));
+    } catch (err) {
+      console.error('Failed to list reviews:', err);
+      res.status(500).json({ error: 'Failed to list reviews' });
+    }
+  });
+
+  // Keep a flagged message as it is
+  router.post('/reviews/:id/approve', async (req, res) => {
+    try {
+      const review = await reviewQueue.get(req.params.id);
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      res.json(await reviewQueue.resolve(review.id, 'approved', req.user.id));
+    } catch (err) {
+      console.error('Failed to approve flagged message:', err);
+      res.status(500).json({ error: 'Failed to approve message' });
+    }
+  });
+
+  // Delete a flagged message, announcing it like any moderator delete
+  router.post('/reviews/:id/remove', async (req, res) => {
+    try {
+      const review = await reviewQueue.get(req.params.id);
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+
+      const { error, code } = await moderation.deleteMessage(req.user.id, {
+        messageId: review.messageId,
+      });
+      // A message someone already deleted needs nothing more
+      if (error && code !== 'message_deleted') {
+        return res.status(STATUS_BY_CODE[code] || 400).json({ error, code });
+      }
+      res.json(await reviewQueue.resolve(review.id, 'removed', req.user.id));
+    } catch (err) {
+      console.error('Failed to remove flagged message:', err);
+      res.status(500).json({ error: 'Failed to remove message' });
+    }
+  });
+
+  router.get('/filters', (req, res) => {
+    res.json(contentFilter.rules());
+  });
+
+  // Pick up edits to the rules file; a broken file leaves the current rules in place
+  router.post('/filters/reload', async (req, res) => {
+    try {
+      const rules = await contentFilter.reload();
+      onFiltersReloaded();
+      res.json(rules);
+    } catch (err) {
+      res.status(400).json({ error: `Failed to reload rules: ${err.message}` });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
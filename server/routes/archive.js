@@ -0,0 +1,303 @@
+// archive.js - Export a room or private conversation to archive it, and import an export
+// to rebuild its history on another server
+
+const express = require('express');
+const { hasRole } = require('../models/userStore');
+const { queryParam, dateRange } = require('../utils/query');
+const {
+  isPlainObject,
+  string,
+  timestamp,
+  boolean,
+  oneOf,
+  array,
+  optional,
+  object,
+} = require('../utils/schema');
+const { toMarkdown, toHtml } = require('../utils/transcript');
+
+// JSON exports say what they are, so imports can refuse other files and older versions
+const EXPORT_FORMAT = 'chat-export';
+const EXPORT_VERSION = 1;
+
+// How each export format is rendered and served
+const FORMATS = {
+  json: {
+    extension: 'json',
+    type: 'application/json',
+    render: (transcript) => JSON.stringify(transcript, null, 2),
+  },
+  markdown: { extension: 'md', type: 'text/markdown', render: toMarkdown },
+  html: { extension: 'html', type: 'text/html', render: toHtml },
+};
+
+// The shape toRoomId in server.js gives room ids
+const ROOM_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Exports carry more fields than these (topics, reactions, attachments and so on); only
+// the ones an import relies on are checked
+const text = () => string({ min: 1 });
+const loose = (shape) => object(shape, { allowUnknown: true });
+
+const conversationSchemas = {
+  room: loose({ type: oneOf(['room']), id: string({ pattern: ROOM_ID_PATTERN }), name: text() }),
+  private: loose({
+    type: oneOf(['private']),
+    id: text(),
+    participants: array(loose({ id: text() }), { max: 2 }),
+  }),
+};
+const conversationSchema = (value, path) =>
+  loose({ type: oneOf(Object.keys(conversationSchemas)) })(value, path) ||
+  conversationSchemas[value.type](value, path);
+
+const exportSchema = loose({
+  conversation: conversationSchema,
+  messages: array(
+    loose({
+      id: text(),
+      roomId: text(),
+      isPrivate: optional(boolean()),
+      parentId: optional(text()),
+      sender: text(),
+      senderId: text(),
+      message: string(),
+      timestamp: timestamp(),
+    })
+  ),
+});
+
+// `getPrivateRoomId(a, b)` gives the conversation id of two users' private messages;
+// `onRoomCreated` runs after an import created the room it was exported from. Import
+// bodies are read here, up to maxImportBytes, rather than by the app's JSON parser.
+const createArchiveRouter = ({
+  userStore,
+  roomStore,
+  messageStore,
+  searchIndex,
+  getPrivateRoomId,
+  maxImportBytes,
+  onRoomCreated = () => {},
+}) => {
+  const router = express.Router();
+
+  // Resolves to the parse error, if any, once req.body holds the uploaded export
+  const parseExport = express.json({ limit: maxImportBytes });
+  const readExport = (req, res) => new Promise((resolve) => parseExport(req, res, resolve));
+
+  // The room, or the private conversation with another user, described the way exports
+  // record it; null if there is no such room or user
+  const findConversation = async (user, { room, withId }) => {
+    if (withId !== undefined) {
+      const other = withId === user.id ? null : await userStore.findById(withId);
+      if (!other) {
+        return null;
+      }
+      return {
+        type: 'private',
+        id: getPrivateRoomId(user.id, other.id),
+        participants: [user, other].map(({ id, username }) => ({ id, username })),
+      };
+    }
+    const stored = await roomStore.get(room);
+    return stored && { type: 'room', ...stored };
+  };
+
+  // A conversation's messages sent within [from, to] (epoch ms, either may be left out),
+  // each followed by its thread's replies, which are kept whole
+  const collectMessages = async (conversationId, { from, to }) => {
+    const inRange = (message) => {
+      const sentAt = Date.parse(message.timestamp);
+      return (from === undefined || sentAt >= from) && (to === undefined || sentAt <= to);
+    };
+
+    const messages = [];
+    for (const message of (await messageStore.find({ roomId: conversationId })).filter(inRange)) {
+      messages.push(message);
+      if (message.replyCount) {
+        messages.push(...(await messageStore.find({ threadId: message.id })));
+      }
+    }
+    return messages;
+  };
+
+  // Export a room (?room=) or the private conversation with a user (?with=<userId>), all of
+  // it or between ?since= and ?until= (dates), as ?format=json (the default, and the only
+  // format that can be imported), markdown or html
+  router.get('/export', async (req, res) => {
+    const room = queryParam(req.query, 'room');
+    const withId = queryParam(req.query, 'with');
+    const range = dateRange(req.query);
+
+    const format = FORMATS[queryParam(req.query, 'format') || 'json'];
+    if (!format) {
+      return res.status(400).json({ error: 'format must be json, markdown or html' });
+    }
+    if (room === undefined && withId === undefined) {
+      return res.status(400).json({ error: 'room or with is required' });
+    }
+    if (!range) {
+      return res.status(400).json({ error: 'since and until must be dates' });
+    }
+    const { from, to } = range;
+
+    try {
+      const account = await userStore.findById(req.user.id);
+      const conversation = account && (await findConversation(account, { room, withId }));
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      const exportedAt = new Date().toISOString();
+      const transcript = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt,
+        exportedBy: { id: account.id, username: account.username },
+        conversation,
+        since: from === undefined ? null : new Date(from).toISOString(),
+        until: to === undefined ? null : new Date(to).toISOString(),
+        messages: await collectMessages(conversation.id, { from, to }),
+      };
+
+      const name =
+        conversation.type === 'room'
+          ? conversation.id
+          : `private-${conversation.participants.map(({ username }) => username).join('-')}`;
+      res
+        .attachment(`${name}-${exportedAt.slice(0, 10)}.${format.extension}`)
+        .type(format.type)
+        .send(format.render(transcript));
+    } catch (err) {
+      console.error('Failed to export conversation:', err);
+      res.status(500).json({ error: 'Failed to export conversation' });
+    }
+  });
+
+  // What is wrong with an uploaded export, or null if it can be imported
+  const checkExport = (body) => {
+    if (!isPlainObject(body) || body.format !== EXPORT_FORMAT) {
+      return 'The body must be a JSON export from GET /api/export';
+    }
+    if (body.version !== EXPORT_VERSION) {
+      return `Only version ${EXPORT_VERSION} exports can be imported`;
+    }
+
+    const invalid = exportSchema(body, 'body');
+    if (invalid) {
+      return invalid;
+    }
+
+    const { conversation, messages } = body;
+    if (conversation.type === 'private') {
+      const { participants } = conversation;
+      if (
+        participants.length !== 2 ||
+        conversation.id !== getPrivateRoomId(participants[0].id, participants[1].id)
+      ) {
+        return 'body.conversation must list the two participants it is between';
+      }
+    }
+    const isPrivate = conversation.type === 'private';
+    const stray = messages.findIndex(
+      (message) => message.roomId !== conversation.id || Boolean(message.isPrivate) !== isPrivate
+    );
+    if (stray !== -1) {
+      return `body.messages[${stray}] belongs to another conversation`;
+    }
+    return null;
+  };
+
+  // Rebuild history from a JSON export; only the owner may. Messages already stored (by
+  // id) are skipped, so running an import again is harmless. Any other history the
+  // conversation has here must come first in the import, since imported messages are
+  // numbered after it (paging, sync cursors and retention all go by those numbers).
+  // Attachment files are not part of an export and have to be copied separately. Private
+  // conversations need both participants' accounts to exist here with the same ids.
+  router.post('/import', async (req, res) => {
+    try {
+      const account = await userStore.findById(req.user.id);
+      if (!hasRole(account, 'owner')) {
+        return res.status(403).json({ error: 'Only the owner can import history' });
+      }
+      const parseError = await readExport(req, res);
+      if (parseError?.type === 'entity.too.large') {
+        const limitMb = maxImportBytes / (1024 * 1024);
+        return res.status(413).json({ error: `Exports must be at most ${limitMb} MB` });
+      }
+      if (parseError) {
+        return res.status(parseError.status || 400).json({ error: 'The body must be JSON' });
+      }
+      const invalid = checkExport(req.body);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const { conversation, messages } = req.body;
+      if (conversation.type === 'private') {
+        for (const { id } of conversation.participants) {
+          if (!(await userStore.findById(id))) {
+            return res.status(400).json({ error: `User ${id} has no account here` });
+          }
+        }
+      } else if (!(await roomStore.get(conversation.id))) {
+        const { type, ...room } = conversation;
+        await roomStore.add(room);
+        await onRoomCreated(room);
+      }
+
+      const stored = await collectMessages(conversation.id, {});
+      const importedIds = new Set(messages.map((message) => message.id));
+      const storedIds = new Set(stored.map((message) => message.id));
+      const latest = stored.reduce(
+        (newest, message) => Math.max(newest, Date.parse(message.timestamp)),
+        -Infinity
+      );
+      if (
+        stored.some((message) => !importedIds.has(message.id)) ||
+        messages.some(
+          (message) => !storedIds.has(message.id) && Date.parse(message.timestamp) < latest
+        )
+      ) {
+        return res.status(409).json({
+          error: 'The conversation has history here that the import does not start with',
+        });
+      }
+
+      // Parents go in before their replies, each oldest first; replies whose parent is
+      // missing are skipped
+      let imported = 0;
+      let skipped = 0;
+      const byTime = (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp);
+      const ordered = [
+        ...messages.filter((message) => message.parentId === undefined).sort(byTime),
+        ...messages.filter((message) => message.parentId !== undefined).sort(byTime),
+      ];
+      for (const { seq, ...message } of ordered) {
+        const exists = Boolean(await messageStore.get(message.id));
+        const orphan =
+          message.parentId !== undefined && !(await messageStore.get(message.parentId));
+        if (exists || orphan) {
+          skipped += 1;
+        } else {
+          await searchIndex.add(await messageStore.add(message));
+          imported += 1;
+        }
+      }
+
+      console.log(`Imported ${imported} messages into ${conversation.id}`);
+      res.json({
+        conversation: { type: conversation.type, id: conversation.id },
+        imported,
+        skipped,
+      });
+    } catch (err) {
+      console.error('Failed to import conversation:', err);
+      res.status(500).json({ error: 'Failed to import conversation' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createArchiveRouter };
@@ -0,0 +1,140 @@
+// attachments.js - Upload files to attach to messages, and fetch them back
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const { toPublicAttachment } = require('../models/attachmentStore');
+
+const createAttachmentRouter = ({
+  attachmentStore,
+  canView,
+  maxBytes,
+  mimeTypes,
+  thumbnailSize,
+}) => {
+  const router = express.Router();
+
+  // One file per request, written straight to disk under a fresh id
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: attachmentStore.dir,
+      filename: (req, file, cb) => cb(null, crypto.randomUUID()),
+    }),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (mimeTypes.includes(file.mimetype)) {
+        return cb(null, true);
+      }
+      const err = new Error(`Files of type ${file.mimetype} are not allowed`);
+      err.status = 415;
+      cb(err);
+    },
+  }).single('file');
+
+  // Read an uploaded image's size and write a thumbnail next to it
+  const createThumbnail = async (file) => {
+    const { width, height } = await sharp(file.path).metadata();
+    await sharp(file.path)
+      .rotate()
+      .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toFile(attachmentStore.thumbnailPath({ id: file.filename }));
+    return { width, height };
+  };
+
+  router.post('/', (req, res) => {
+    upload(req, res, async (err) => {
+      if (err instanceof multer.MulterError) {
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge ? `Files must be at most ${maxBytes / (1024 * 1024)} MB` : err.message,
+        });
+      }
+      if (err?.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      if (err) {
+        console.error('Failed to upload file:', err);
+        return res.status(500).json({ error: 'Failed to upload file' });
+      }
+
+      const { file } = req;
+      if (!file) {
+        return res.status(400).json({ error: 'A file is required' });
+      }
+
+      let dimensions = {};
+      if (file.mimetype.startsWith('image/')) {
+        try {
+          dimensions = await createThumbnail(file);
+        } catch (thumbnailErr) {
+          // The declared type was an image but the contents are not one we can read
+          await fs.promises.rm(file.path, { force: true });
+          return res.status(415).json({ error: 'The image could not be read' });
+        }
+      }
+
+      try {
+        const attachment = await attachmentStore.add({
+          id: file.filename,
+          ownerId: req.user.id,
+          filename: path.basename(file.originalname).slice(0, 255),
+          mimeType: file.mimetype,
+          size: file.size,
+          ...dimensions,
+          thumbnail: Boolean(dimensions.width),
+        });
+        res.status(201).json({ attachment: toPublicAttachment(attachment) });
+      } catch (saveErr) {
+        console.error('Failed to save attachment:', saveErr);
+        res.status(500).json({ error: 'Failed to upload file' });
+      }
+    });
+  });
+
+  // Look up an attachment the requesting user may fetch
+  const findVisible = async (req, res) => {
+    const attachment = await attachmentStore.get(req.params.id);
+    if (!attachment || !(await canView(attachment, req.user))) {
+      res.status(404).json({ error: 'Attachment not found' });
+      return null;
+    }
+    return attachment;
+  };
+
+  router.get('/:id', async (req, res) => {
+    const attachment = await findVisible(req, res);
+    if (!attachment) {
+      return;
+    }
+
+    // Stop browsers from sniffing uploads into something they would run, and
+    // only show images inline
+    if (!attachment.mimeType.startsWith('image/')) {
+      res.attachment(attachment.filename);
+    }
+    res.type(attachment.mimeType);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(attachmentStore.filePath(attachment));
+  });
+
+  router.get('/:id/thumbnail', async (req, res) => {
+    const attachment = await findVisible(req, res);
+    if (!attachment) {
+      return;
+    }
+    if (!attachment.thumbnail) {
+      return res.status(404).json({ error: 'This attachment has no thumbnail' });
+    }
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(attachmentStore.thumbnailPath(attachment));
+  });
+
+  return router;
+};
+
+module.exports = { createAttachmentRouter };
@@ -0,0 +1,66 @@
+// auth.js - Register and log in, returning a signed token for the socket handshake
+
+const express = require('express');
+const { hashPassword, verifyPassword, signToken } = require('../utils/auth');
+const { toPublicUser, USERNAME_PATTERN } = require('../models/userStore');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const createAuthRouter = ({ userStore }) => {
+  const router = express.Router();
+
+  router.post('/register', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        error: 'Username must be 3-20 letters, numbers, dots, dashes or underscores',
+      });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+      const account = await userStore.create({
+        username,
+        passwordHash: await hashPassword(password),
+      });
+      if (!account) {
+        return res.status(409).json({ error: 'Username is already taken' });
+      }
+
+      res.status(201).json({ token: signToken(account), user: toPublicUser(account) });
+    } catch (err) {
+      console.error('Failed to register user:', err);
+      res.status(500).json({ error: 'Failed to register user' });
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+      const account = await userStore.findByUsername(username);
+      if (!account || !(await verifyPassword(password, account.passwordHash))) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      if (account.bannedAt) {
+        return res.status(403).json({ error: 'You are banned from this chat' });
+      }
+
+      res.json({ token: signToken(account), user: toPublicUser(account) });
+    } catch (err) {
+      console.error('Failed to log in:', err);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,52 @@
+// hooks.js - Incoming webhooks: tools post into a room with the secret token in the URL,
+// no user account needed
+
+const express = require('express');
+const { string, optional, object } = require('../utils/schema');
+
+// HTTP statuses for the error codes posting a message returns
+const STATUS_BY_CODE = {
+  invalid_request: 400,
+  not_found: 404,
+  content_rejected: 422,
+};
+
+// `postMessage(hook, { text, clientId })` posts to the hook's room and resolves to
+// { message } or { error, code }
+const createHookRouter = ({ webhooks, postMessage, maxMessageLength }) => {
+  const router = express.Router();
+  const bodySchema = object({
+    text: string({ min: 1, max: maxMessageLength, trim: true }),
+    clientId: optional(string({ min: 1, max: 100 })),
+  });
+
+  // Post { text } to the webhook's room. A clientId makes retries safe: a repeat with the
+  // same clientId answers with the message already posted.
+  router.post('/:token', async (req, res) => {
+    const hook = webhooks.findIncoming(req.params.token);
+    if (!hook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const invalid = bodySchema(req.body, 'body');
+    if (invalid) {
+      return res.status(400).json({ error: invalid, code: 'invalid_request' });
+    }
+    const { text, clientId } = req.body;
+
+    try {
+      const { message, error, code } = await postMessage(hook, { text, clientId });
+      if (error) {
+        return res.status(STATUS_BY_CODE[code] || 400).json({ error, code });
+      }
+      res.status(201).json({ message });
+    } catch (err) {
+      console.error(`Failed to post from webhook ${hook.name}:`, err);
+      res.status(500).json({ error: 'Failed to post message', code: 'server_error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createHookRouter };
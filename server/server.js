@@ -1,15 +1,47 @@
 // server.js - Main server file for Socket.io chat application
 
+const cluster = require('cluster');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/cluster-adapter');
+const { setupWorker } = require('@socket.io/sticky');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const crypto = require('crypto');
 
 // Load environment variables
 dotenv.config();
 
+const config = require('./config');
+const { hasRole, isMuted, toPublicUser, USERNAME_PATTERN } = require('./models/userStore');
+const { toPresence } = require('./models/presence');
+const { createAttachmentStore, toPublicAttachment } = require('./models/attachmentStore');
+const { STATE_SERVICES, createState, startState } = require('./state');
+const { connectState, onRelay } = require('./state/ipc');
+const { createAuthRouter } = require('./routes/auth');
+const { createAttachmentRouter } = require('./routes/attachments');
+const { createAdminRouter } = require('./routes/admin');
+const { createHookRouter } = require('./routes/hooks');
+const { createArchiveRouter } = require('./routes/archive');
+const { createModerationController } = require('./controllers/moderation');
+const {
+  isCommand,
+  unescapeCommand,
+  createCommandRegistry,
+  loadCommandPlugins,
+} = require('./commands');
+const { builtinCommands } = require('./commands/builtin');
+const { createSocketAuth } = require('./socket/authenticate');
+const { createFloodProtection } = require('./socket/floodProtection');
+const { attachValidation } = require('./socket/validation');
+const { createRequireAuth } = require('./utils/auth');
+const { createContentFilter } = require('./utils/contentFilter');
+const { parseMentions } = require('./utils/mentions');
+const { queryParam, dateRange } = require('./utils/query');
+const { createWebhooks } = require('./utils/webhooks');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -19,103 +51,1485 @@ const io = new Server(server, {
     methods: ['GET', 'POST'],
     credentials: true,
   },
+  // Far larger packets are cut off at the transport; the flood protection turns
+  // away anything over the payload limit with an error
+  maxHttpBufferSize: config.limits.maxPayloadBytes * 4,
+  // Cluster workers pass broadcasts and socket lookups on to each other
+  ...(cluster.isWorker && { adapter: createAdapter() }),
 });
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// History imports are far larger than any other request body; their route reads them
+// itself, once it knows the owner sent them. Routing ignores case and a trailing slash.
+const IMPORT_PATH = /^\/api\/import\/?$/i;
+const parseJson = express.json();
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : parseJson(req, res, next)));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Store connected users and messages
-const users = {};
-const messages = [];
-const typingUsers = {};
+// Users join this room when they join the chat, and cannot leave it
+const DEFAULT_ROOM = 'general';
+
+// History is served in pages of this size unless the client asks for fewer
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Call an optional acknowledgement callback sent by the client
+const ack = (callback, payload) => {
+  if (typeof callback === 'function') {
+    callback(payload);
+  }
+};
+
+// Every failed request is acknowledged as { error, code }: a readable message and a
+// stable code such as not_found, not_in_room, forbidden, conflict or server_error
+const ackError = (callback, code, error) => ack(callback, { error, code });
+
+// Whether a message would be left with neither text nor attachments, as when the content
+// filter removes all of its text
+const isBlankMessage = (text, attachments) => !text.trim() && !attachments?.length;
+const BLANK_MESSAGE_ERROR = {
+  error: 'Nothing is left of the message after filtering',
+  code: 'content_rejected',
+};
+
+// Private messages share a conversation id made from both participants' user ids
+const getPrivateRoomId = (a, b) => [a, b].sort().join('_');
+
+// Room ids never contain '_', so it tells private conversations apart from rooms
+const isPrivateConversation = (conversationId) => conversationId.includes('_');
+
+// Every socket a user has open joins that user's own room
+const userRoom = (userId) => `user:${userId}`;
+
+// Sockets with a thread open join its room to receive the replies
+const threadRoom = (parentId) => `thread:${parentId}`;
+
+// The chat rooms a socket is in, leaving out its own, user and thread rooms
+const chatRoomsOf = (socket) =>
+  [...socket.rooms].filter((roomId) => roomId !== socket.id && !roomId.includes(':'));
+
+// Send a conversation's typing list; a private conversation's list goes to both sides
+const broadcastTyping = (conversationId, typingUsers) => {
+  const audience = isPrivateConversation(conversationId)
+    ? conversationId.split('_').map(userRoom)
+    : conversationId;
+  io.to(audience).emit('typing_users', { roomId: conversationId, users: typingUsers });
+};
+
+// A single process keeps the shared state itself. Cluster workers call into the copy
+// the primary keeps (see cluster.js), which also decides when typing lists go out;
+// upload paths are still worked out locally, on the disk the workers share.
+const uploads = createAttachmentStore(config.attachments);
+const state = cluster.isWorker
+  ? connectState(STATE_SERVICES, {
+      attachmentStore: {
+        dir: uploads.dir,
+        filePath: uploads.filePath,
+        thumbnailPath: uploads.thumbnailPath,
+      },
+    })
+  : createState({ broadcastTyping });
+const {
+  userStore,
+  roomStore,
+  messageStore,
+  deliveryQueue,
+  readReceipts,
+  unreadCounts,
+  attachmentStore,
+  reviewQueue,
+  presence,
+  typing,
+  rateLimits,
+  searchIndex,
+} = state;
+
+// Every message's text passes through the content filter before it is stored or broadcast.
+// Each process loads the rules itself.
+const contentFilter = createContentFilter(config.contentFilter);
+
+// Bots and other tools post through incoming webhooks and hear about room messages through
+// outgoing ones. Each process loads them itself, and sends out the messages it stored.
+const webhooks = createWebhooks(config.webhooks);
+
+// REST readers may read any room, and private conversations they are part of
+const isReadableBy = async (message, userId) =>
+  message.isPrivate
+    ? [message.senderId, message.to].includes(userId)
+    : Boolean(await roomStore.get(message.roomId));
+
+// Where updates about a message go: the thread a reply belongs to, its room,
+// or both sides of a private conversation
+const messageAudience = (message) => {
+  if (message.parentId) {
+    return threadRoom(message.parentId);
+  }
+  return message.isPrivate ? [userRoom(message.senderId), userRoom(message.to)] : message.roomId;
+};
+
+// How many of a user's sockets are in a room, on any server
+const countUserSockets = async (userId, roomId) =>
+  (await io.in(userRoom(userId)).fetchSockets()).filter((own) => own.rooms.has(roomId)).length;
+
+// Sends still being stored, keyed by sender and clientId, so a retry that races
+// the original waits for it instead of storing a second copy. Sticky sessions send a
+// client's retries to the same process as the original.
+const inflightSends = new Map();
+
+// Store a message once per sender and clientId; retries get the stored copy back
+const storeOnce = async (message) => {
+  if (!message.clientId) {
+    return { message: await messageStore.add(message), duplicate: false };
+  }
+
+  const key = `${message.senderId}:${message.clientId}`;
+  if (inflightSends.has(key)) {
+    return { message: (await inflightSends.get(key)).message, duplicate: true };
+  }
+
+  const run = (async () => {
+    const existing = await messageStore.findByClientId(message.senderId, message.clientId);
+    if (existing) {
+      return { message: existing, duplicate: true };
+    }
+    return { message: await messageStore.add(message), duplicate: false };
+  })();
+
+  inflightSends.set(key, run);
+  try {
+    return await run;
+  } finally {
+    inflightSends.delete(key);
+  }
+};
+
+// Turn the attachment ids sent with a message into their public details; each one
+// must be a file the sender uploaded
+const resolveAttachments = async (ids = [], ownerId) => {
+  const attachments = [];
+  for (const id of new Set(ids)) {
+    const attachment = await attachmentStore.get(id);
+    if (!attachment || attachment.ownerId !== ownerId) {
+      return { error: 'Attachment not found', code: 'not_found' };
+    }
+    attachments.push(toPublicAttachment(attachment));
+  }
+  return { attachments };
+};
+
+// Uploaders can always fetch their files; anyone else once they are posted
+// somewhere that user can read
+const canViewAttachment = async (attachment, user) => {
+  if (attachment.ownerId === user.id) {
+    return true;
+  }
+  for (const conversationId of attachment.conversations) {
+    const readable = isPrivateConversation(conversationId)
+      ? conversationId.split('_').includes(user.id)
+      : Boolean(await roomStore.get(conversationId));
+    if (readable) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Ids of the users a message's @mentions name, other than its sender; in a private
+// conversation only the other side can be mentioned
+const findMentions = async (text, { senderId, isPrivate, to }) => {
+  const mentioned = [];
+  for (const name of parseMentions(text)) {
+    const account = await userStore.findByUsername(name);
+    if (account && account.id !== senderId && (!isPrivate || account.id === to)) {
+      mentioned.push(account.id);
+    }
+  }
+  return mentioned;
+};
+
+// Alert the users a new message mentions, and count it as unread for everyone it reached
+// other than its sender. Thread replies only alert: unread counts follow the main
+// timeline, like read positions do.
+const notifyRecipients = async (message) => {
+  const mentioned = new Set(message.mentions);
+  mentioned.forEach((mentionedId) => {
+    io.to(userRoom(mentionedId)).emit('mention', { message });
+  });
+  if (message.parentId) {
+    return;
+  }
+
+  try {
+    const conversationId = message.roomId;
+    const recipients = new Set(
+      message.isPrivate ? [message.to] : (await getRoomUsers(conversationId)).map(({ id }) => id)
+    );
+    mentioned.forEach((mentionedId) => recipients.add(mentionedId));
+    recipients.delete(message.senderId);
+    for (const recipientId of recipients) {
+      const counts = await unreadCounts.increment(recipientId, conversationId, {
+        mention: mentioned.has(recipientId),
+      });
+      io.to(userRoom(recipientId)).emit('unread_counts', { [conversationId]: counts });
+    }
+  } catch (err) {
+    console.error('Failed to update unread counts:', err);
+  }
+};
+
+// Queue a stored message for moderator review if the content filter flagged it
+const flagForReview = async (message, flags) => {
+  if (flags.length) {
+    await reviewQueue.add(message, flags);
+  }
+};
+
+// Replace a message with a tombstone that keeps its place in the conversation
+const removeMessage = async (message, deletedBy) => {
+  const deleted = await messageStore.update(message.id, {
+    message: '',
+    attachments: [],
+    deleted: true,
+    deletedAt: new Date().toISOString(),
+    deletedBy,
+  });
+  await searchIndex.remove(deleted.id);
+  io.to(messageAudience(deleted)).emit('message_deleted', {
+    id: deleted.id,
+    roomId: deleted.roomId,
+    deletedAt: deleted.deletedAt,
+    deletedBy: deleted.deletedBy,
+  });
+  return deleted;
+};
+
+// Store a new room message or thread reply once (see storeOnce), with everything that
+// goes with it, resolving to { message, duplicate }
+const storeRoomMessage = async (draft, flags) => {
+  const { message, duplicate } = await storeOnce(draft);
+  if (!duplicate) {
+    await attachmentStore.attach(message.attachments.map(({ id }) => id), message.roomId);
+    await searchIndex.add(message);
+    await flagForReview(message, flags);
+  }
+  return { message, duplicate };
+};
+
+// Send a newly stored room message or thread reply to its readers, the users it mentions
+// and the outgoing webhooks that want it
+const broadcastRoomMessage = async (message) => {
+  if (message.parentId) {
+    await publishReply(message);
+  } else {
+    io.to(message.roomId).emit('receive_message', message);
+  }
+  await notifyRecipients(message);
+  webhooks.dispatch(message).catch((err) => console.error('Failed to dispatch webhooks:', err));
+};
+
+// Post a message from an incoming webhook to its room, the way users' messages are posted,
+// resolving to { message } or { error, code }. The webhook's name stands in for a user.
+const postHookMessage = async (hook, { text, clientId }) => {
+  if (!(await roomStore.get(hook.roomId))) {
+    return { error: `Room ${hook.roomId} not found`, code: 'not_found' };
+  }
+  const filtered = contentFilter.apply(text);
+  if (filtered.rejected) {
+    return { error: filtered.rejected, code: 'content_rejected' };
+  }
+  if (isBlankMessage(filtered.text)) {
+    return BLANK_MESSAGE_ERROR;
+  }
+
+  const senderId = `webhook:${hook.name}`;
+  const { message, duplicate } = await storeRoomMessage(
+    {
+      id: crypto.randomUUID(),
+      roomId: hook.roomId,
+      message: filtered.text,
+      webhook: hook.name,
+      clientId,
+      sender: hook.username,
+      senderId,
+      timestamp: new Date().toISOString(),
+      reactions: {},
+      attachments: [],
+      mentions: await findMentions(filtered.text, { senderId }),
+    },
+    filtered.flags
+  );
+  if (!duplicate) {
+    await broadcastRoomMessage(message);
+  }
+  return { message };
+};
+
+// Send a new reply to everyone with its thread open, and the parent's updated
+// reply count to the parent's own audience
+const publishReply = async (reply) => {
+  io.to(threadRoom(reply.parentId)).emit('thread_reply', reply);
+
+  try {
+    const parent = await messageStore.modify(reply.parentId, 'reply', {
+      timestamp: reply.timestamp,
+    });
+    if (parent) {
+      io.to(messageAudience(parent)).emit('message_updated', parent);
+    }
+  } catch (err) {
+    console.error('Failed to update thread parent:', err);
+  }
+};
+
+// Sequence number cursors may arrive as strings; anything that is not an integer matches nothing
+const parseSeq = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const seq = Number(value);
+  return Number.isInteger(seq) ? seq : null;
+};
+
+const parsePageLimit = (limit) =>
+  Math.min(Math.max(parseInt(limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Turn a room name into a URL-friendly room id
+const toRoomId = (name) =>
+  name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Users with at least one socket in a room, on any server
+const getRoomUsers = async (roomId) => {
+  const members = await io.in(roomId).fetchSockets();
+  const userIds = [...new Set(members.map((member) => member.data.user.id))];
+  const entries = await Promise.all(userIds.map((userId) => presence.get(userId)));
+  return entries.filter((entry) => entry?.online).map(toPublicUser);
+};
+
+// Room members as everyone else sees them: invisible users are left out
+const listRoomUsers = async (roomId) => {
+  const users = await getRoomUsers(roomId);
+  const entries = await Promise.all(users.map(({ id }) => presence.get(id)));
+  return users.filter((user, i) => entries[i].status !== 'invisible');
+};
+
+const emitRoomUsers = async (roomId) => {
+  io.to(roomId).emit('room_users', { roomId, users: await listRoomUsers(roomId) });
+};
+
+// The status a user chose, which only their own tabs see
+const ownStatus = ({ status, statusText, idle }) => ({ status, statusText, idle });
+
+// Tell everyone if what they see of a user changed, given the user's presence before and
+// after a change; room member lists follow when the user appears or disappears
+const publishPresence = async ({ previous, entry }) => {
+  const before = previous && toPresence(previous);
+  const after = toPresence(entry);
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    io.emit('presence_update', after);
+  }
+  if (before && (before.status === 'offline') !== (after.status === 'offline')) {
+    const ownSockets = await io.in(userRoom(entry.id)).fetchSockets();
+    const roomIds = new Set(ownSockets.flatMap(chatRoomsOf));
+    await Promise.all([...roomIds].map(emitRoomUsers));
+  }
+  io.to(userRoom(entry.id)).emit('status_updated', ownStatus(entry));
+  return entry;
+};
+
+// Sockets keep the user's details from when they connected; bring this server's copies
+// up to date
+const refreshLocalSockets = async (user) => {
+  const sockets = await io.in(userRoom(user.id)).local.fetchSockets();
+  sockets.forEach((socket) => {
+    socket.data.user = { ...socket.data.user, ...user };
+  });
+};
+
+// Give a user a new name everywhere it is shown, resolving to { user } or { error, code }.
+// Messages already sent keep the name they were sent under.
+const renameUser = async (userId, username) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    return {
+      error: 'Username must be 3-20 letters, numbers, dots, dashes or underscores',
+      code: 'invalid_request',
+    };
+  }
+  const previous = await userStore.findById(userId);
+  const account = await userStore.rename(userId, username);
+  if (!account) {
+    return { error: 'That username is taken', code: 'conflict' };
+  }
+
+  const user = toPublicUser(account);
+  await refreshLocalSockets(user);
+  if (cluster.isWorker) {
+    io.serverSideEmit('refresh_user', user);
+  }
+  if (await presence.get(userId)) {
+    await publishPresence(await presence.update(userId, { username }));
+  }
+  io.to(userRoom(userId)).emit('session', { user });
+  io.emit('user_renamed', { id: userId, username, previous: previous.username });
+  return { user };
+};
+
+// Set a room's topic and tell the room who set it, resolving to { room } or { error, code }
+const setRoomTopic = async (roomId, text, setBy) => {
+  const filtered = contentFilter.apply(text);
+  if (filtered.rejected) {
+    return { error: filtered.rejected, code: 'content_rejected' };
+  }
+  const topic = filtered.text.trim();
+  if (topic.length > config.limits.maxTopicLength) {
+    return {
+      error: `Topics can be at most ${config.limits.maxTopicLength} characters`,
+      code: 'invalid_request',
+    };
+  }
+
+  const room = await roomStore.update(roomId, {
+    topic,
+    topicSetBy: setBy.username,
+    topicSetAt: new Date().toISOString(),
+  });
+  io.emit('room_list', await roomStore.list());
+  io.to(roomId).emit('topic_changed', {
+    roomId,
+    topic,
+    setBy: { id: setBy.id, username: setBy.username },
+    timestamp: room.topicSetAt,
+  });
+  return { room };
+};
+
+// Announce a user who just left the chat, unless they were invisible to others
+const announceLeft = ({ previous, entry }) => {
+  if (previous.status !== 'invisible') {
+    io.emit('user_left', { username: entry.username, id: entry.id });
+  }
+  console.log(`${entry.username} left the chat`);
+};
+
+// Kick, mute, ban and moderator deletes, for both socket events and the admin routes
+const moderation = createModerationController({
+  io,
+  userStore,
+  messageStore,
+  userRoom,
+  messageAudience,
+  removeMessage,
+  // Everyone and the user's own tabs see a new role straight away
+  onRoleChange: async (account) => {
+    try {
+      if (await presence.get(account.id)) {
+        await publishPresence(await presence.update(account.id, { role: account.role }));
+      }
+    } catch (err) {
+      console.error('Failed to update presence:', err);
+    }
+    io.to(userRoom(account.id)).emit('session', { user: toPublicUser(account) });
+  },
+});
+
+// Slash commands typed into the message box: the built-in ones and those in the plugin
+// directory
+const commands = createCommandRegistry();
+builtinCommands.forEach(commands.register);
+loadCommandPlugins(commands, config.commands.pluginDir);
+
+// Turn away events sent too fast or too large, and users who keep doing it
+const floodProtection = createFloodProtection({
+  rateLimits,
+  maxPayloadBytes: config.limits.maxPayloadBytes,
+  disconnectUser: (userId) => io.in(userRoom(userId)).disconnectSockets(true),
+});
+
+// Only sockets presenting a valid token may connect, unless they are blocked for flooding
+io.use(createSocketAuth({ userStore }));
+io.use(floodProtection.middleware);
 
 // Socket.io connection handler
 io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
-
-  // Handle user joining
-  socket.on('user_join', (username) => {
-    users[socket.id] = { username, id: socket.id };
-    io.emit('user_list', Object.values(users));
-    io.emit('user_joined', { username, id: socket.id });
-    console.log(`${username} joined the chat`);
-  });
-
-  // Handle chat messages
-  socket.on('send_message', (messageData) => {
-    const message = {
-      ...messageData,
-      id: Date.now(),
-      sender: users[socket.id]?.username || 'Anonymous',
-      senderId: socket.id,
-      timestamp: new Date().toISOString(),
+  const { id: userId } = socket.data.user;
+  console.log(`User connected: ${socket.id} (${socket.data.user.username})`);
+
+  // Users can rename themselves with /nick, so the current name is read each time
+  const currentUsername = () => socket.data.user.username;
+
+  // Rate limits run first so floods of malformed events still count against the sender
+  floodProtection.attach(socket);
+  attachValidation(socket);
+  socket.emit('session', { user: socket.data.user });
+
+  const hasJoined = () => socket.rooms.has(userRoom(userId));
+
+  // Whether this user can see a message: a member of its room, or a side of its private
+  // conversation
+  const canSee = (message) =>
+    message.isPrivate
+      ? [message.senderId, message.to].includes(userId)
+      : socket.rooms.has(message.roomId);
+
+  // Senders may change their own messages; moderators may change the ones they can see,
+  // unless the author has the same or a higher role (the rule moderation actions follow)
+  const canChange = async (message) => {
+    if (message.senderId === userId) {
+      return true;
+    }
+    const actor = await userStore.findById(userId);
+    if (!hasRole(actor, 'moderator') || !canSee(message)) {
+      return false;
+    }
+    const author = await userStore.findById(message.senderId);
+    return !(author && hasRole(author, actor.role));
+  };
+
+  // Muted users are refused with the time their mute ends
+  const checkMuted = async () => {
+    const account = await userStore.findById(userId);
+    if (isMuted(account)) {
+      return { error: `You are muted until ${account.mutedUntil}`, code: 'muted' };
+    }
+    return {};
+  };
+
+  // Look up a message this user is allowed to change, or explain why not
+  const findChangeableMessage = async (messageId) => {
+    const message = await messageStore.get(messageId);
+    if (!message || !canSee(message)) {
+      return { error: 'Message not found', code: 'not_found' };
+    }
+    if (message.deleted) {
+      return { error: 'Message has been deleted', code: 'message_deleted' };
+    }
+    if (!(await canChange(message))) {
+      return { error: 'You can only change your own messages', code: 'forbidden' };
+    }
+    return { message };
+  };
+
+  // Look up the message a reply is for; threads are only one level deep
+  const findThreadParent = async (parentId, conversationId) => {
+    const parent = await messageStore.get(parentId);
+    if (!parent || !canSee(parent) || parent.roomId !== conversationId) {
+      return { error: 'Thread not found', code: 'not_found' };
+    }
+    if (parent.parentId) {
+      return { error: 'You cannot reply to a reply', code: 'invalid_request' };
+    }
+    if (parent.deleted) {
+      return { error: 'Message has been deleted', code: 'message_deleted' };
+    }
+    return { parent };
+  };
+
+  // Threads this socket has open: parent id -> the parent's conversation id
+  const openThreads = new Map();
+
+  // Put the socket in a room and send it the room's members
+  const joinRoom = async (roomId) => {
+    if (!socket.rooms.has(roomId)) {
+      // Only announce the user once, however many tabs they have in the room
+      const firstSocket = (await countUserSockets(userId, roomId)) === 0;
+      socket.join(roomId);
+      if (firstSocket) {
+        socket
+          .to(roomId)
+          .emit('user_joined_room', { username: currentUsername(), id: userId, roomId });
+        await emitRoomUsers(roomId);
+      }
+    }
+
+    socket.emit('room_joined', {
+      room: await roomStore.get(roomId),
+      users: await listRoomUsers(roomId),
+      typingUsers: await typing.list(roomId),
+    });
+  };
+
+  // Handle user joining, with the username from the verified token. The ack comes once the
+  // socket is in the default room; clients wait for it before sending messages or syncing,
+  // which the server refuses for rooms the socket has not joined yet.
+  socket.on('user_join', async (callback) => {
+    try {
+      socket.join(userRoom(userId));
+      const change = await presence.connect(socket.data.user, socket.id, cluster.worker?.id);
+      await publishPresence(change);
+      if (!change.previous?.online) {
+        if (change.entry.status !== 'invisible') {
+          io.emit('user_joined', { username: currentUsername(), id: userId });
+        }
+        console.log(`${currentUsername()} joined the chat`);
+      }
+      // Everyone's presence once; presence_update events keep it current from here
+      socket.emit('user_list', (await presence.list()).map(toPresence));
+
+      socket.emit('room_list', await roomStore.list());
+      socket.emit('unread_counts', await unreadCounts.get(userId));
+      await joinRoom(DEFAULT_ROOM);
+
+      // Hand over private messages that arrived while the user was offline
+      (await deliveryQueue.drain(userId)).forEach((message) => {
+        io.to(userRoom(userId)).emit('private_message', message);
+        io.to(userRoom(message.senderId)).emit('message_delivered', {
+          id: message.id,
+          roomId: message.roomId,
+        });
+      });
+      ack(callback, { user: socket.data.user });
+    } catch (err) {
+      console.error('Failed to join the chat:', err);
+      ackError(callback, 'server_error', 'Failed to join the chat');
+    }
+  });
+
+  // Join an existing room, resolving to { room } or { error, code }
+  const enterRoom = async (roomId) => {
+    if (!hasJoined()) {
+      return { error: 'Join the chat before joining a room', code: 'not_joined' };
+    }
+    const room = await roomStore.get(roomId);
+    if (!room) {
+      return { error: 'Room not found', code: 'not_found' };
+    }
+
+    await joinRoom(roomId);
+    return { room };
+  };
+
+  // Create a room and join it, resolving to { room } or { error, code }
+  const createRoom = async (name) => {
+    if (!hasJoined()) {
+      return { error: 'Join the chat before creating a room', code: 'not_joined' };
+    }
+
+    const roomId = toRoomId(name);
+    if (!roomId) {
+      return { error: 'Room name must contain letters or numbers', code: 'invalid_payload' };
+    }
+    const room = {
+      id: roomId,
+      name: name.trim(),
+      createdBy: currentUsername(),
+      createdAt: new Date().toISOString(),
     };
-    
-    messages.push(message);
-    
-    // Limit stored messages to prevent memory issues
-    if (messages.length > 100) {
-      messages.shift();
-    }
-    
-    io.emit('receive_message', message);
-  });
-
-  // Handle typing indicator
-  socket.on('typing', (isTyping) => {
-    if (users[socket.id]) {
-      const username = users[socket.id].username;
-      
+    if (!(await roomStore.add(room))) {
+      return { error: 'A room with this name already exists', code: 'conflict' };
+    }
+
+    io.emit('room_list', await roomStore.list());
+    await joinRoom(roomId);
+    console.log(`${currentUsername()} created room ${roomId}`);
+    return { room };
+  };
+
+  // Handle joining a chat room
+  socket.on('join_room', async (roomId, callback) => {
+    try {
+      ack(callback, await enterRoom(roomId));
+    } catch (err) {
+      console.error('Failed to join room:', err);
+      ackError(callback, 'server_error', 'Failed to join room');
+    }
+  });
+
+  // Handle leaving a chat room
+  socket.on('leave_room', async (roomId, callback) => {
+    try {
+      if (roomId === DEFAULT_ROOM) {
+        return ackError(callback, 'invalid_request', 'You cannot leave the default room');
+      }
+      if (!socket.rooms.has(roomId) || !(await roomStore.get(roomId))) {
+        return ackError(callback, 'not_in_room', 'You are not in this room');
+      }
+
+      socket.leave(roomId);
+      // Threads in the room are closed along with it
+      openThreads.forEach((conversationId, parentId) => {
+        if (conversationId === roomId) {
+          socket.leave(threadRoom(parentId));
+          openThreads.delete(parentId);
+        }
+      });
+      if ((await countUserSockets(userId, roomId)) === 0) {
+        await typing.stop(roomId, userId);
+        io.to(roomId).emit('user_left_room', { username: currentUsername(), id: userId, roomId });
+        await emitRoomUsers(roomId);
+      }
+      socket.emit('room_left', { roomId });
+      ack(callback, { roomId });
+    } catch (err) {
+      console.error('Failed to leave room:', err);
+      ackError(callback, 'server_error', 'Failed to leave room');
+    }
+  });
+
+  // Handle creating a chat room
+  socket.on('create_room', async ({ name }, callback) => {
+    try {
+      ack(callback, await createRoom(name));
+    } catch (err) {
+      console.error('Failed to create room:', err);
+      ackError(callback, 'server_error', 'Failed to create room');
+    }
+  });
+
+  // Handle loading a page of room or private message history, or of a thread's replies
+  socket.on('load_messages', async (query, callback) => {
+    const { roomId, with: withId, threadId, before, after, beforeSeq, afterSeq, limit } = query;
+
+    try {
+      let conversationId = roomId;
+      if (threadId !== undefined) {
+        const parent = await messageStore.get(threadId);
+        if (!parent || !canSee(parent)) {
+          return ackError(callback, 'not_found', 'Thread not found');
+        }
+        conversationId = parent.roomId;
+      } else if (withId) {
+        conversationId = getPrivateRoomId(userId, withId);
+      } else if (!(await roomStore.get(roomId))) {
+        return ackError(callback, 'not_found', 'Room not found');
+      }
+
+      const page = await messageStore.page({
+        roomId: conversationId,
+        threadId,
+        before,
+        after,
+        beforeSeq: parseSeq(beforeSeq),
+        afterSeq: parseSeq(afterSeq),
+        limit: parsePageLimit(limit),
+      });
+      ack(callback, { ...page, reads: await readReceipts.get(conversationId) });
+    } catch (err) {
+      console.error('Failed to load messages:', err);
+      ackError(callback, 'server_error', 'Failed to load messages');
+    }
+  });
+
+  // Handle reconnect catch-up: replay what each conversation received after the
+  // last sequence number the client saw there
+  socket.on('sync_messages', async ({ cursors }, callback) => {
+    const conversations = {};
+
+    try {
+      for (const [conversationId, cursor] of Object.entries(cursors)) {
+        const isOwnPrivate = conversationId.split('_').includes(userId);
+        const lastSeq = parseSeq(cursor);
+        if ((!isOwnPrivate && !socket.rooms.has(conversationId)) || typeof lastSeq !== 'number') {
+          continue;
+        }
+
+        const page = await messageStore.page({
+          roomId: conversationId,
+          afterSeq: lastSeq,
+          limit: MAX_PAGE_SIZE,
+        });
+        if (!page.messages.length || page.messages[0].seq === lastSeq + 1) {
+          conversations[conversationId] = page;
+        } else {
+          // Messages right after the cursor have been pruned, so the gap cannot be
+          // filled; start again from the newest page
+          conversations[conversationId] = {
+            ...(await messageStore.page({ roomId: conversationId, limit: PAGE_SIZE })),
+            reset: true,
+          };
+        }
+      }
+      ack(callback, { conversations });
+    } catch (err) {
+      console.error('Failed to sync messages:', err);
+      ackError(callback, 'server_error', 'Failed to sync messages');
+    }
+  });
+
+  // Handle opening a thread: join its room and send the newest page of replies
+  socket.on('open_thread', async ({ parentId }, callback) => {
+    try {
+      const parent = await messageStore.get(parentId);
+      if (!parent || !canSee(parent) || parent.parentId) {
+        return ackError(callback, 'not_found', 'Thread not found');
+      }
+
+      socket.join(threadRoom(parent.id));
+      openThreads.set(parent.id, parent.roomId);
+      const page = await messageStore.page({
+        roomId: parent.roomId,
+        threadId: parent.id,
+        limit: PAGE_SIZE,
+      });
+      ack(callback, { parent, ...page });
+    } catch (err) {
+      console.error('Failed to open thread:', err);
+      ackError(callback, 'server_error', 'Failed to open thread');
+    }
+  });
+
+  // Handle closing a thread: stop receiving its replies
+  socket.on('close_thread', ({ parentId }, callback) => {
+    socket.leave(threadRoom(parentId));
+    openThreads.delete(parentId);
+    ack(callback, { parentId });
+  });
+
+  // Post a message to a room, resolving to the ack for the sender; a parentId makes the
+  // message a reply in that message's thread and `action` marks a /me action. The stored
+  // message is built field by field so clients cannot set anything else.
+  const postMessage = async (messageData, { action = false } = {}) => {
+    const { message: text, clientId, parentId, attachments: attachmentIds } = messageData;
+    const roomId = messageData.roomId || DEFAULT_ROOM;
+    if (!socket.rooms.has(roomId) || !(await roomStore.get(roomId))) {
+      return { error: 'You are not in this room', code: 'not_in_room' };
+    }
+
+    let message;
+    let duplicate;
+    try {
+      const muted = await checkMuted();
+      if (muted.error) {
+        return muted;
+      }
+      const filtered = contentFilter.apply(text);
+      if (filtered.rejected) {
+        return { error: filtered.rejected, code: 'content_rejected' };
+      }
+      if (isBlankMessage(filtered.text, attachmentIds)) {
+        return BLANK_MESSAGE_ERROR;
+      }
+      if (parentId !== undefined) {
+        const { error, code } = await findThreadParent(parentId, roomId);
+        if (error) {
+          return { error, code };
+        }
+      }
+      const { attachments, error, code } = await resolveAttachments(attachmentIds, userId);
+      if (error) {
+        return { error, code };
+      }
+
+      ({ message, duplicate } = await storeRoomMessage(
+        {
+          id: crypto.randomUUID(),
+          roomId,
+          ...(parentId !== undefined && { parentId }),
+          message: filtered.text,
+          ...(action && { action }),
+          clientId,
+          sender: currentUsername(),
+          senderId: userId,
+          timestamp: new Date().toISOString(),
+          reactions: {},
+          attachments,
+          mentions: await findMentions(filtered.text, { senderId: userId }),
+        },
+        filtered.flags
+      ));
+    } catch (err) {
+      console.error('Failed to store message:', err);
+      return { error: 'Failed to send message', code: 'server_error' };
+    }
+
+    // A retried send was already broadcast the first time
+    if (!duplicate) {
+      await broadcastRoomMessage(message);
+      await typing.stop(roomId, userId);
+    }
+
+    // Delivered once anyone other than the sender is there to receive it
+    const audience = message.parentId ? threadRoom(message.parentId) : roomId;
+    const delivered = (await getRoomUsers(audience)).some((user) => user.id !== userId);
+    return { status: delivered ? 'delivered' : 'sent', id: message.id, message };
+  };
+
+  // Run a slash command typed into the message box of a room, resolving to the ack for
+  // the sender: { reply } when the command has something to say, or { error, code }
+  const runCommand = async (line, roomId) => {
+    try {
+      const room = await roomStore.get(roomId);
+      if (!socket.rooms.has(roomId) || !room) {
+        return { error: 'You are not in this room', code: 'not_in_room' };
+      }
+      const account = await userStore.findById(userId);
+
+      return await commands.execute(line, {
+        user: socket.data.user,
+        account,
+        room,
+        commands: commands.list(account),
+        post: (text, options) => postMessage({ roomId, message: text }, options),
+        postPrivate: (to, text) => postPrivateMessage({ to, message: text }),
+        joinRoom: (name) => enterRoom(toRoomId(name)),
+        createRoom,
+        findUser: async (username) => {
+          const found = await userStore.findByUsername(username);
+          return found && toPublicUser(found);
+        },
+        rename: (username) => renameUser(userId, username),
+        setTopic: async (topic) => {
+          const muted = await checkMuted();
+          return muted.error ? muted : setRoomTopic(roomId, topic, socket.data.user);
+        },
+        moderate: (action, data) => moderation[action](userId, data),
+      });
+    } catch (err) {
+      console.error('Failed to run command:', err);
+      return { error: 'Failed to run command', code: 'server_error' };
+    }
+  };
+
+  // Handle chat messages; a plain message starting with '/' runs a slash command instead.
+  // Thread replies and messages with attachments are always posted as written.
+  socket.on('send_message', async (messageData, callback) => {
+    const { message: text, parentId, attachments } = messageData;
+    if (parentId !== undefined || attachments?.length) {
+      return ack(callback, await postMessage(messageData));
+    }
+    if (isCommand(text)) {
+      return ack(callback, await runCommand(text, messageData.roomId || DEFAULT_ROOM));
+    }
+    ack(callback, await postMessage({ ...messageData, message: unescapeCommand(text) }));
+  });
+
+  // Handle choosing a status (online, away, busy or invisible) and status text;
+  // blank text clears it
+  socket.on('set_status', async ({ status, text }, callback) => {
+    if (!hasJoined()) {
+      return ackError(callback, 'not_joined', 'Join the chat before setting a status');
+    }
+
+    const changes = {};
+    if (status !== undefined) {
+      changes.status = status;
+    }
+    if (text !== undefined) {
+      const filtered = contentFilter.apply(text.trim());
+      if (filtered.rejected) {
+        return ackError(callback, 'content_rejected', filtered.rejected);
+      }
+      changes.statusText = filtered.text.trim() || null;
+    }
+    try {
+      const entry = await publishPresence(await presence.update(userId, changes));
+      ack(callback, ownStatus(entry));
+    } catch (err) {
+      console.error('Failed to set status:', err);
+      ackError(callback, 'server_error', 'Failed to set status');
+    }
+  });
+
+  // Handle the client reporting that this tab has gone idle or become active again;
+  // the user is idle once every tab they have open is
+  socket.on('set_idle', async (idle) => {
+    try {
+      const change = await presence.setIdle(userId, socket.id, idle);
+      if (change) {
+        await publishPresence(change);
+      }
+    } catch (err) {
+      console.error('Failed to update idle state:', err);
+    }
+  });
+
+  // Handle typing indicators for a room, or with `to` (a registered user's id) for a
+  // private conversation. Clients repeat `true` while the user keeps typing; otherwise it
+  // expires on its own.
+  socket.on('typing', async (isTyping, { roomId = DEFAULT_ROOM, to } = {}) => {
+    if (!hasJoined() || to === userId) {
+      return;
+    }
+
+    try {
+      if (to === undefined ? !socket.rooms.has(roomId) : !(await userStore.findById(to))) {
+        return;
+      }
+      const conversationId = to !== undefined ? getPrivateRoomId(userId, to) : roomId;
+
       if (isTyping) {
-        typingUsers[socket.id] = username;
+        await typing.start(conversationId, { id: userId, username: currentUsername() });
       } else {
-        delete typingUsers[socket.id];
+        await typing.stop(conversationId, userId);
       }
-      
-      io.emit('typing_users', Object.values(typingUsers));
+    } catch (err) {
+      console.error('Failed to update typing state:', err);
     }
   });
 
-  // Handle private messages
-  socket.on('private_message', ({ to, message }) => {
-    const messageData = {
-      id: Date.now(),
-      sender: users[socket.id]?.username || 'Anonymous',
-      senderId: socket.id,
-      message,
-      timestamp: new Date().toISOString(),
-      isPrivate: true,
-    };
-    
-    socket.to(to).emit('private_message', messageData);
-    socket.emit('private_message', messageData);
+  // Send a private message to a recipient's user id, resolving to the ack for the
+  // sender; a parentId makes the message a reply in that message's thread
+  const postPrivateMessage = async (data) => {
+    const { to, message, clientId, parentId, attachments: attachmentIds } = data;
+    if (to === userId) {
+      return { error: 'You cannot send a private message to yourself', code: 'invalid_request' };
+    }
+
+    let recipient;
+    try {
+      recipient = await userStore.findById(to);
+    } catch (err) {
+      console.error('Failed to look up recipient:', err);
+    }
+    if (!recipient) {
+      return { error: 'Recipient not found', code: 'not_found' };
+    }
+
+    let messageData;
+    let duplicate;
+    try {
+      const muted = await checkMuted();
+      if (muted.error) {
+        return muted;
+      }
+      const filtered = contentFilter.apply(message);
+      if (filtered.rejected) {
+        return { error: filtered.rejected, code: 'content_rejected' };
+      }
+      if (isBlankMessage(filtered.text, attachmentIds)) {
+        return BLANK_MESSAGE_ERROR;
+      }
+      if (parentId !== undefined) {
+        const { error, code } = await findThreadParent(parentId, getPrivateRoomId(userId, to));
+        if (error) {
+          return { error, code };
+        }
+      }
+      const { attachments, error, code } = await resolveAttachments(attachmentIds, userId);
+      if (error) {
+        return { error, code };
+      }
+
+      ({ message: messageData, duplicate } = await storeOnce({
+        id: crypto.randomUUID(),
+        roomId: getPrivateRoomId(userId, to),
+        ...(parentId !== undefined && { parentId }),
+        sender: currentUsername(),
+        senderId: userId,
+        recipient: recipient.username,
+        message: filtered.text,
+        timestamp: new Date().toISOString(),
+        isPrivate: true,
+        to,
+        clientId,
+        reactions: {},
+        attachments,
+        mentions: await findMentions(filtered.text, { senderId: userId, isPrivate: true, to }),
+      }));
+      if (!duplicate) {
+        await attachmentStore.attach(attachments.map(({ id }) => id), messageData.roomId);
+        await searchIndex.add(messageData);
+        await flagForReview(messageData, filtered.flags);
+      }
+    } catch (err) {
+      console.error('Failed to store private message:', err);
+      return { error: 'Failed to send message', code: 'server_error' };
+    }
+
+    // Replies are not queued for offline recipients; they see the reply count on the
+    // parent and the replies when they open the thread
+    if (messageData.parentId) {
+      if (!duplicate) {
+        await publishReply(messageData);
+        await notifyRecipients(messageData);
+      }
+      const delivered = (await countUserSockets(to, threadRoom(messageData.parentId))) > 0;
+      return { status: delivered ? 'delivered' : 'sent', id: messageData.id, message: messageData };
+    }
+
+    if (duplicate) {
+      const queued = await deliveryQueue.isQueued(to, messageData.id);
+      const status = queued ? 'queued' : 'delivered';
+      return { status, id: messageData.id, message: messageData };
+    }
+
+    // Every tab of the sender sees the message, and every tab of the recipient if online
+    let status = 'delivered';
+    if (await presence.isOnline(to)) {
+      io.to([userRoom(userId), userRoom(to)]).emit('private_message', messageData);
+    } else {
+      io.to(userRoom(userId)).emit('private_message', messageData);
+      await deliveryQueue.enqueue(to, messageData);
+      status = 'queued';
+    }
+    await typing.stop(messageData.roomId, userId);
+    await notifyRecipients(messageData);
+    return { status, id: messageData.id, message: messageData };
+  };
+
+  // Handle private messages addressed by the recipient's user id
+  socket.on('private_message', async (data, callback) => {
+    ack(callback, await postPrivateMessage(data));
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    if (users[socket.id]) {
-      const { username } = users[socket.id];
-      io.emit('user_left', { username, id: socket.id });
-      console.log(`${username} left the chat`);
+  // Handle read receipts: the user has read everything up to and including messageId
+  socket.on('mark_read', async ({ messageId }, callback) => {
+    let message;
+    try {
+      message = await messageStore.get(messageId);
+    } catch (err) {
+      console.error('Failed to look up message:', err);
+    }
+
+    if (!message || !canSee(message)) {
+      return ackError(callback, 'not_found', 'Message not found');
+    }
+    // Read positions follow the main timeline, which replies are not part of
+    if (message.parentId) {
+      return ackError(callback, 'invalid_request', 'Thread replies cannot be marked as read');
+    }
+
+    const advanced = await readReceipts.mark(message.roomId, userId, {
+      messageId: message.id,
+      timestamp: message.timestamp,
+    });
+    if (advanced) {
+      io.to(messageAudience(message)).emit('message_read', {
+        roomId: message.roomId,
+        userId,
+        username: currentUsername(),
+        ...(await readReceipts.get(message.roomId))[userId],
+      });
+
+      // Whatever others posted after this message is still unread
+      try {
+        const unread = (await messageStore.find({ roomId: message.roomId })).filter(
+          (later) => later.seq > message.seq && later.senderId !== userId && !later.deleted
+        );
+        const counts = await unreadCounts.set(userId, message.roomId, {
+          unread: unread.length,
+          mentions: unread.filter((later) => later.mentions?.includes(userId)).length,
+        });
+        io.to(userRoom(userId)).emit('unread_counts', { [message.roomId]: counts });
+      } catch (err) {
+        console.error('Failed to count unread messages:', err);
+      }
+    }
+    ack(callback, { roomId: message.roomId, messageId: message.id });
+  });
+
+  // Handle editing a message's text
+  socket.on('edit_message', async ({ messageId, message: text }, callback) => {
+    try {
+      const { message, error, code } = await findChangeableMessage(messageId);
+      if (error) {
+        return ackError(callback, code, error);
+      }
+      const muted = await checkMuted();
+      if (muted.error) {
+        return ack(callback, muted);
+      }
+      const filtered = contentFilter.apply(text);
+      if (filtered.rejected) {
+        return ackError(callback, 'content_rejected', filtered.rejected);
+      }
+      if (isBlankMessage(filtered.text, message.attachments)) {
+        return ack(callback, BLANK_MESSAGE_ERROR);
+      }
+
+      const updated = await messageStore.update(message.id, {
+        message: filtered.text,
+        mentions: await findMentions(filtered.text, message),
+        edited: true,
+        editedAt: new Date().toISOString(),
+        editedBy: userId,
+      });
+      await searchIndex.add(updated);
+      await flagForReview(updated, filtered.flags);
+      io.to(messageAudience(updated)).emit('message_updated', updated);
+      ack(callback, { message: updated });
+    } catch (err) {
+      console.error('Failed to edit message:', err);
+      ackError(callback, 'server_error', 'Failed to edit message');
+    }
+  });
+
+  // Handle deleting a message; a tombstone keeps its place in the conversation. Moderators
+  // deleting someone else's message go through the moderation controller, which tells the
+  // room who removed it.
+  socket.on('delete_message', async ({ messageId }, callback) => {
+    try {
+      const { message, error, code } = await findChangeableMessage(messageId);
+      if (error) {
+        return ackError(callback, code, error);
+      }
+
+      if (message.senderId !== userId) {
+        const result = await moderation.deleteMessage(userId, { messageId: message.id });
+        if (result.error) {
+          return ackError(callback, result.code, result.error);
+        }
+        return ack(callback, { id: message.id, notice: result.notice });
+      }
+      const deleted = await removeMessage(message, userId);
+      ack(callback, { id: deleted.id });
+    } catch (err) {
+      console.error('Failed to delete message:', err);
+      ackError(callback, 'server_error', 'Failed to delete message');
+    }
+  });
+
+  // Add or remove this user's reaction; reactions are stored as emoji -> user ids
+  const react = async ({ messageId, emoji }, action, callback) => {
+    try {
+      const message = await messageStore.get(messageId);
+      if (!message || !canSee(message) || message.deleted) {
+        return ackError(callback, 'not_found', 'Message not found');
+      }
+
+      const updated = await messageStore.modify(message.id, 'reaction', {
+        emoji,
+        userId,
+        action,
+      });
+
+      // Send only the emoji that changed rather than the whole message
+      const update = {
+        messageId: updated.id,
+        roomId: updated.roomId,
+        emoji,
+        userId,
+        action,
+        users: Object.hasOwn(updated.reactions, emoji) ? updated.reactions[emoji] : [],
+      };
+      io.to(messageAudience(updated)).emit('reaction_updated', update);
+      ack(callback, update);
+    } catch (err) {
+      console.error('Failed to update reaction:', err);
+      ackError(callback, 'server_error', 'Failed to update reaction');
+    }
+  };
+
+  socket.on('add_reaction', (data, callback) => react(data, 'add', callback));
+
+  socket.on('remove_reaction', (data, callback) => react(data, 'remove', callback));
+
+  // Moderator actions; the controller checks roles and broadcasts a notice for each
+  const moderate = (action) => async (data, callback) => {
+    try {
+      const { notice, error, code } = await moderation[action](userId, data);
+      if (error) {
+        return ackError(callback, code, error);
+      }
+      ack(callback, { notice });
+    } catch (err) {
+      console.error(`Failed to ${action}:`, err);
+      ackError(callback, 'server_error', 'Moderation action failed');
+    }
+  };
+
+  socket.on('kick_user', moderate('kick'));
+  socket.on('mute_user', moderate('mute'));
+  socket.on('unmute_user', moderate('unmute'));
+  socket.on('ban_user', moderate('ban'));
+  socket.on('unban_user', moderate('unban'));
+  socket.on('set_role', moderate('setRole'));
+  socket.on('delete_any_message', moderate('deleteMessage'));
+
+  // Rooms are emptied before 'disconnect' fires, so remember them here
+  socket.on('disconnecting', () => {
+    socket.data.joinedRooms = chatRoomsOf(socket);
+  });
+
+  // Handle disconnection; the user only leaves once their last socket is gone
+  socket.on('disconnect', async () => {
+    try {
+      // Presence comes first: looking up sockets on other servers can fail while one
+      // of them is going away, and the user must not be left online
+      const change = await presence.disconnect(userId, socket.id);
+      if (change && !change.entry.online) {
+        await typing.stopAll(userId);
+        announceLeft(change);
+      }
+
+      for (const roomId of socket.data.joinedRooms || []) {
+        if ((await countUserSockets(userId, roomId)) === 0) {
+          await typing.stop(roomId, userId);
+        }
+        await emitRoomUsers(roomId);
+      }
+      // The tabs still open may all be idle
+      if (change) {
+        await publishPresence(change);
+      }
+    } catch (err) {
+      console.error('Failed to handle disconnect:', err);
     }
-    
-    delete users[socket.id];
-    delete typingUsers[socket.id];
-    
-    io.emit('user_list', Object.values(users));
-    io.emit('typing_users', Object.values(typingUsers));
   });
 });
 
 // API routes
-app.get('/api/messages', (req, res) => {
-  res.json(messages);
+app.use('/api/auth', createAuthRouter({ userStore }));
+// Webhook tokens stand in for signing in
+app.use(
+  '/api/hooks',
+  createHookRouter({
+    webhooks,
+    postMessage: postHookMessage,
+    maxMessageLength: config.limits.maxMessageLength,
+  })
+);
+app.use('/api', createRequireAuth({ userStore }));
+app.use(
+  '/api/admin',
+  createAdminRouter({
+    userStore,
+    moderation,
+    reviewQueue,
+    contentFilter,
+    // Other workers reload their rules too
+    onFiltersReloaded: () => cluster.isWorker && io.serverSideEmit('reload_content_filter'),
+  })
+);
+app.use(
+  '/api/attachments',
+  createAttachmentRouter({ attachmentStore, canView: canViewAttachment, ...config.attachments })
+);
+app.use(
+  '/api',
+  createArchiveRouter({
+    userStore,
+    roomStore,
+    messageStore,
+    searchIndex,
+    getPrivateRoomId,
+    maxImportBytes: config.limits.maxImportBytes,
+    onRoomCreated: async () => io.emit('room_list', await roomStore.list()),
+  })
+);
+
+// Page through a room's history with ?room=&before=&after=&limit= (or beforeSeq/afterSeq),
+// or through a private conversation with ?with=<userId>
+app.get('/api/messages', async (req, res) => {
+  const { room = DEFAULT_ROOM, with: withId, before, after, beforeSeq, afterSeq, limit } =
+    req.query;
+
+  try {
+    if (!withId && !(await roomStore.get(room))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const page = await messageStore.page({
+      roomId: withId ? getPrivateRoomId(req.user.id, withId) : room,
+      before,
+      after,
+      beforeSeq: parseSeq(beforeSeq),
+      afterSeq: parseSeq(afterSeq),
+      limit: parsePageLimit(limit),
+    });
+    res.json(page);
+  } catch (err) {
+    console.error('Failed to read messages:', err);
+    res.status(500).json({ error: 'Failed to read messages' });
+  }
+});
+
+// A message and a page of its thread's replies, with the same paging parameters
+app.get('/api/messages/:id/thread', async (req, res) => {
+  const { before, after, beforeSeq, afterSeq, limit } = req.query;
+
+  try {
+    const parent = await messageStore.get(req.params.id);
+    if (!parent || parent.parentId || !(await isReadableBy(parent, req.user.id))) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const page = await messageStore.page({
+      roomId: parent.roomId,
+      threadId: parent.id,
+      before,
+      after,
+      beforeSeq: parseSeq(beforeSeq),
+      afterSeq: parseSeq(afterSeq),
+      limit: parsePageLimit(limit),
+    });
+    res.json({ parent, ...page });
+  } catch (err) {
+    console.error('Failed to read thread:', err);
+    res.status(500).json({ error: 'Failed to read thread' });
+  }
 });
 
-app.get('/api/users', (req, res) => {
-  res.json(Object.values(users));
+// Search message text with ?q=, narrowed by ?sender=<username>, ?room= or ?with=<userId>,
+// ?since= and ?until= (dates), and ?hasAttachment=true|false; page with ?offset=&limit=
+app.get('/api/search', async (req, res) => {
+  const param = (name) => queryParam(req.query, name);
+  const q = param('q') || '';
+  const sender = param('sender');
+  const room = param('room');
+  const withId = param('with');
+  const hasAttachment = param('hasAttachment');
+
+  const range = dateRange(req.query);
+  if (!range) {
+    return res.status(400).json({ error: 'since and until must be dates' });
+  }
+  const { from, to } = range;
+
+  try {
+    const roomIds = (await roomStore.list()).map(({ id }) => id);
+    if (room && !roomIds.includes(room)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const matches = await searchIndex.search(q, {
+      readerId: req.user.id,
+      roomIds,
+      conversationId: withId ? getPrivateRoomId(req.user.id, withId) : room,
+      sender,
+      from,
+      to,
+      hasAttachment: hasAttachment === undefined ? undefined : hasAttachment === 'true',
+    });
+
+    // Answer with the stored version of each message, skipping any retention has dropped
+    const results = [];
+    for (const result of matches) {
+      const message = await messageStore.get(result.message.id);
+      if (message) {
+        results.push({ ...result, message });
+      } else {
+        await searchIndex.remove(result.message.id);
+      }
+    }
+
+    const start = Math.max(parseInt(param('offset'), 10) || 0, 0);
+    const end = start + parsePageLimit(param('limit'));
+    res.json({
+      results: results.slice(start, end),
+      total: results.length,
+      hasMore: end < results.length,
+    });
+  } catch (err) {
+    console.error('Failed to search messages:', err);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+app.get('/api/rooms', async (req, res) => {
+  try {
+    const rooms = await roomStore.list();
+    const users = await Promise.all(rooms.map((room) => listRoomUsers(room.id)));
+    res.json(rooms.map((room, i) => ({ ...room, userCount: users[i].length })));
+  } catch (err) {
+    console.error('Failed to list rooms:', err);
+    res.status(500).json({ error: 'Failed to list rooms' });
+  }
+});
+
+// Everyone seen since the server started, with their status and when offline users were
+// last seen
+app.get('/api/users', async (req, res) => {
+  try {
+    res.json((await presence.list()).map(toPresence));
+  } catch (err) {
+    console.error('Failed to list users:', err);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
 });
 
 // Root route
@@ -123,10 +1537,67 @@ app.get('/', (req, res) => {
   res.send('Socket.io Chat Server is running');
 });
 
-// Start server
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Reload the content filter rules from their file, keeping the current rules if it is broken
+const reloadContentFilter = () =>
+  contentFilter
+    .reload()
+    .then(() => console.log('Content filter rules reloaded'))
+    .catch((err) => console.error('Failed to reload content filter rules:', err));
+
+if (cluster.isWorker) {
+  // Renamed users' sockets may be on any worker
+  io.on('refresh_user', (user) => {
+    refreshLocalSockets(user).catch((err) => console.error('Failed to refresh user:', err));
+  });
+
+  // The primary decides when typing lists go out, and announces users who went
+  // offline because the worker holding their sockets exited
+  onRelay('typing_users', broadcastTyping);
+  onRelay('presence_changes', (changes) => {
+    changes.forEach((change) => {
+      publishPresence(change).catch((err) => console.error('Failed to publish presence:', err));
+      if (!change.entry.online) {
+        announceLeft(change);
+      }
+    });
+  });
+
+  // A rules reload through the admin routes reaches whichever worker served it; the
+  // others follow
+  io.on('reload_content_filter', reloadContentFilter);
+}
+
+const reloadWebhooks = () =>
+  webhooks
+    .reload()
+    .then(() => console.log('Webhooks reloaded'))
+    .catch((err) => console.error('Failed to reload webhooks:', err));
+
+// `kill -HUP` reloads the content filter rules and webhooks without a restart
+process.on('SIGHUP', () => {
+  reloadContentFilter();
+  reloadWebhooks();
 });
 
+// Start server once stored history has loaded. In a cluster the primary has loaded it,
+// and hands this worker its connections rather than it listening itself.
+const PORT = process.env.PORT || 5000;
+const loadState = cluster.isWorker ? Promise.resolve() : startState(state);
+Promise.all([loadState, contentFilter.init(), webhooks.init()])
+  .then(() => {
+    if (cluster.isWorker) {
+      setupWorker(io);
+      process.send({ type: 'worker:ready' });
+      console.log(`Worker ${process.pid} ready`);
+      return;
+    }
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error('Failed to load message history:', err);
+    process.exit(1);
+  });
+
 module.exports = { app, server, io }; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+// authenticate.js - Socket.io handshake middleware that checks the client's token
+
+const { verifyToken } = require('../utils/auth');
+
+// Errors passed to next() reach the client as a `connect_error` with this data
+const authError = (message, code) => {
+  const err = new Error(message);
+  err.data = { code };
+  return err;
+};
+
+const createSocketAuth = ({ userStore }) => async (socket, next) => {
+  const claims = verifyToken(socket.handshake.auth?.token);
+  if (!claims) {
+    return next(authError('Invalid or expired token', 'invalid_token'));
+  }
+
+  try {
+    // The account may have been removed since the token was issued
+    const account = await userStore.findById(claims.sub);
+    if (!account) {
+      return next(authError('Account not found', 'unknown_user'));
+    }
+    if (account.bannedAt) {
+      return next(authError('You are banned from this chat', 'banned'));
+    }
+
+    socket.data.user = { id: account.id, username: account.username, role: account.role };
+    next();
+  } catch (err) {
+    console.error('Failed to authenticate socket:', err);
+    next(authError('Authentication failed', 'auth_failed'));
+  }
+};
+
+module.exports = { createSocketAuth };
@@ -0,0 +1,72 @@
+// floodProtection.js - Rate limits and payload size caps for events sent by clients. The
+// buckets, strikes and blocks live in the shared rate limits (see rateLimits.js).
+
+const rateLimitError = (retryAfterMs) => {
+  const err = new Error('Too many requests; try again later');
+  err.data = { code: 'rate_limited', retryAfterMs };
+  return err;
+};
+
+// Rough size of an event's arguments as they arrived, leaving out the ack callback
+const payloadSize = (args) =>
+  Buffer.byteLength(JSON.stringify(args.filter((arg) => typeof arg !== 'function')) || '');
+
+const createFloodProtection = ({ rateLimits, maxPayloadBytes, disconnectUser }) => ({
+  // Handshake middleware keeping temporarily blocked users out; runs after authentication
+  middleware: async (socket, next) => {
+    try {
+      const retryAfterMs = await rateLimits.blockedFor(socket.data.user.id);
+      next(retryAfterMs ? rateLimitError(retryAfterMs) : undefined);
+    } catch (err) {
+      console.error('Failed to check rate limits:', err);
+      next(new Error('Server error'));
+    }
+  },
+
+  // Check every event a socket sends before its handler runs; refused events are dropped
+  attach(socket) {
+    const userId = socket.data.user.id;
+
+    socket.use(async ([event, ...args], next) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const refuse = (payload) => {
+        if (callback) {
+          callback(payload);
+        }
+      };
+
+      if (payloadSize(args) > maxPayloadBytes) {
+        return refuse({ error: 'Payload is too large', code: 'payload_too_large' });
+      }
+
+      let limit;
+      try {
+        limit = await rateLimits.take(event, { socketId: socket.id, userId });
+      } catch (err) {
+        console.error('Failed to check rate limits:', err);
+        return refuse({ error: 'Server error', code: 'server_error' });
+      }
+      const { retryAfterMs, blockMs } = limit;
+      if (!retryAfterMs) {
+        return next();
+      }
+
+      socket.emit('rate_limited', { event, retryAfterMs });
+      refuse({ error: 'You are doing that too often', code: 'rate_limited', retryAfterMs });
+
+      if (blockMs) {
+        socket.emit('rate_limited', { event, retryAfterMs: blockMs, disconnected: true });
+        disconnectUser(userId);
+        socket.disconnect(true);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      Promise.resolve(rateLimits.forgetSocket(socket.id)).catch((err) =>
+        console.error('Failed to forget rate limits:', err)
+      );
+    });
+  },
+});
+
+module.exports = { createFloodProtection };
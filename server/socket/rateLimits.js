@@ -0,0 +1,87 @@
+// rateLimits.js - Token buckets for the events clients send, strikes against users who
+// keep exceeding them and the users blocked for it. Part of the shared state, so a user's
+// limits and blocks hold across all their sockets, on whichever server they connect to.
+
+const { createRateLimiter } = require('../utils/rateLimiter');
+
+const createRateLimits = ({ events, strikes, blockMs }) => {
+  // One pair of limiters per configured event; every other event shares the default pair
+  const limiters = {};
+  const limitersFor = (event) => {
+    const name = events[event] ? event : 'default';
+    if (!limiters[name]) {
+      limiters[name] = {
+        socket: createRateLimiter(events[name].socket),
+        user: createRateLimiter(events[name].user),
+      };
+    }
+    return limiters[name];
+  };
+
+  // userId -> times the user was refused within the strike window
+  const offences = new Map();
+  // userId -> time until which the user may not connect
+  const blocked = new Map();
+
+  const blockedFor = (userId, now = Date.now()) => {
+    const until = blocked.get(userId);
+    if (until && until <= now) {
+      blocked.delete(userId);
+      return 0;
+    }
+    return until ? until - now : 0;
+  };
+
+  // Count a refusal, returning true once the user has run out of strikes
+  const addStrike = (userId, now) => {
+    const recent = (offences.get(userId) || []).filter((at) => now - at < strikes.windowMs);
+    recent.push(now);
+    offences.set(userId, recent);
+    return recent.length >= strikes.max;
+  };
+
+  // Idle buckets and old strikes would otherwise pile up for every user ever seen
+  setInterval(() => {
+    const now = Date.now();
+    Object.values(limiters).forEach(({ socket, user }) => {
+      socket.sweep(now);
+      user.sweep(now);
+    });
+    offences.forEach((times, userId) => {
+      if (times.every((at) => now - at >= strikes.windowMs)) {
+        offences.delete(userId);
+      }
+    });
+    blocked.forEach((until, userId) => blockedFor(userId, now));
+  }, strikes.windowMs).unref();
+
+  return {
+    // Milliseconds until a blocked user may connect again, or 0
+    blockedFor(userId) {
+      return blockedFor(userId);
+    },
+
+    // Take a token for an event from the socket's and the user's buckets. Resolves to
+    // { retryAfterMs: 0 } when allowed; a refusal counts as a strike, and `blockMs` is set
+    // when the user ran out of strikes and is now blocked.
+    take(event, { socketId, userId }) {
+      const now = Date.now();
+      const { socket: perSocket, user: perUser } = limitersFor(event);
+      const retryAfterMs = Math.max(perSocket.take(socketId, now), perUser.take(userId, now));
+      if (!retryAfterMs || !addStrike(userId, now)) {
+        return { retryAfterMs };
+      }
+
+      offences.delete(userId);
+      blocked.set(userId, now + blockMs);
+      return { retryAfterMs, blockMs };
+    },
+
+    // Drop a closed socket's buckets
+    forgetSocket(socketId) {
+      Object.values(limiters).forEach(({ socket }) => socket.delete(socketId));
+    },
+  };
+};
+
+module.exports = { createRateLimits };
@@ -0,0 +1,99 @@
+// schemas.js - The arguments each client event accepts, in order (the ack callback aside)
+
+const config = require('../config');
+const { STATUSES } = require('../models/presence');
+const {
+  string,
+  boolean,
+  integer,
+  oneOf,
+  array,
+  optional,
+  object,
+  record,
+} = require('../utils/schema');
+
+const { maxMessageLength, maxAttachments, maxReactionLength } = config.limits;
+
+const id = () => string({ min: 1, max: 100 });
+const messageText = string({ max: maxMessageLength });
+const seq = () => integer({ min: 0 });
+const reason = () => optional(string({ max: 200 }));
+const reaction = () =>
+  object({ messageId: id(), emoji: string({ min: 1, max: maxReactionLength, trim: true }) });
+
+// A message's text may only be blank when it carries attachments
+const withText = (schema) => (value, path) =>
+  schema(value, path) ||
+  (!value.message.trim() && !value.attachments?.length
+    ? `${path}.message must not be empty`
+    : null);
+
+const eventSchemas = {
+  user_join: [],
+  join_room: [id()],
+  leave_room: [id()],
+  create_room: [object({ name: string({ min: 1, max: 50, trim: true }) })],
+  load_messages: [
+    object({
+      roomId: optional(id()),
+      with: optional(id()),
+      threadId: optional(id()),
+      before: optional(id()),
+      after: optional(id()),
+      beforeSeq: optional(seq()),
+      afterSeq: optional(seq()),
+      limit: optional(integer({ min: 1 })),
+    }),
+  ],
+  sync_messages: [object({ cursors: record(seq(), { maxKeys: 200 }) })],
+  open_thread: [object({ parentId: id() })],
+  close_thread: [object({ parentId: id() })],
+  send_message: [
+    withText(
+      object({
+        message: messageText,
+        roomId: optional(id()),
+        clientId: optional(id()),
+        parentId: optional(id()),
+        attachments: optional(array(id(), { max: maxAttachments })),
+      })
+    ),
+  ],
+  typing: [boolean(), optional(object({ roomId: optional(id()), to: optional(id()) }))],
+  set_status: [object({ status: optional(oneOf(STATUSES)), text: optional(string({ max: 100 })) })],
+  set_idle: [boolean()],
+  private_message: [
+    withText(
+      object({
+        to: id(),
+        message: messageText,
+        clientId: optional(id()),
+        parentId: optional(id()),
+        attachments: optional(array(id(), { max: maxAttachments })),
+      })
+    ),
+  ],
+  mark_read: [object({ messageId: id() })],
+  edit_message: [
+    object({ messageId: id(), message: string({ min: 1, max: maxMessageLength, trim: true }) }),
+  ],
+  delete_message: [object({ messageId: id() })],
+  add_reaction: [reaction()],
+  remove_reaction: [reaction()],
+  kick_user: [object({ userId: id(), reason: reason() })],
+  mute_user: [
+    object({
+      userId: id(),
+      durationMinutes: integer({ min: 1, max: 60 * 24 * 365 }),
+      reason: reason(),
+    }),
+  ],
+  unmute_user: [object({ userId: id() })],
+  ban_user: [object({ userId: id(), reason: reason() })],
+  unban_user: [object({ userId: id() })],
+  set_role: [object({ userId: id(), role: string({ max: 20 }) })],
+  delete_any_message: [object({ messageId: id() })],
+};
+
+module.exports = { eventSchemas };
@@ -0,0 +1,91 @@
+// typingIndicators.js - Who is typing in each room or private conversation. Indicators
+// expire unless the client refreshes them, and changes are broadcast at a limited rate.
+
+const createTypingIndicators = ({ ttlMs, broadcastMs, broadcast }) => {
+  // conversationId -> userId -> { username, timer }
+  const conversations = new Map();
+  // conversationId -> { lastAt, sent, timer } for the throttled broadcast
+  const broadcasts = new Map();
+
+  const list = (conversationId) =>
+    [...(conversations.get(conversationId) || new Map()).values()].map(({ username }) => username);
+
+  // Send the conversation's list now, or once broadcastMs has passed since the last one;
+  // further changes before then go out together in that one broadcast
+  const scheduleBroadcast = (conversationId) => {
+    const state = broadcasts.get(conversationId) || { lastAt: 0, sent: '[]', timer: null };
+    broadcasts.set(conversationId, state);
+    if (state.timer) {
+      return;
+    }
+
+    const send = () => {
+      state.timer = null;
+      // Someone who stopped and started again in between changes nothing
+      const typists = list(conversationId);
+      if (JSON.stringify(typists) !== state.sent) {
+        state.lastAt = Date.now();
+        state.sent = JSON.stringify(typists);
+        broadcast(conversationId, typists);
+      }
+      // Nothing left to throttle once the conversation has gone quiet
+      if (!conversations.has(conversationId)) {
+        broadcasts.delete(conversationId);
+      }
+    };
+    const wait = state.lastAt + broadcastMs - Date.now();
+    if (wait <= 0) {
+      send();
+    } else {
+      state.timer = setTimeout(send, wait);
+      state.timer.unref();
+    }
+  };
+
+  const stop = (conversationId, userId) => {
+    const typists = conversations.get(conversationId);
+    const entry = typists?.get(userId);
+    if (!entry) {
+      return;
+    }
+    clearTimeout(entry.timer);
+    typists.delete(userId);
+    if (!typists.size) {
+      conversations.delete(conversationId);
+    }
+    scheduleBroadcast(conversationId);
+  };
+
+  return {
+    list,
+
+    // Mark a user as typing, or keep them marked for another ttlMs; only a user who
+    // was not already typing changes the list
+    start(conversationId, { id, username }) {
+      if (!conversations.has(conversationId)) {
+        conversations.set(conversationId, new Map());
+      }
+      const typists = conversations.get(conversationId);
+      const entry = typists.get(id);
+      if (entry) {
+        clearTimeout(entry.timer);
+      }
+
+      const timer = setTimeout(() => stop(conversationId, id), ttlMs);
+      timer.unref();
+      typists.set(id, { username, timer });
+      if (!entry) {
+        scheduleBroadcast(conversationId);
+      }
+    },
+
+    stop,
+
+    // Stop a user typing everywhere, for example once their last socket is gone
+    stopAll(userId) {
+      [...conversations.keys()].forEach((conversationId) => stop(conversationId, userId));
+    },
+  };
+};
+
+module.exports = { createTypingIndicators };
@@ -0,0 +1,39 @@
+// validation.js - Check every event a client sends against its declared schema
+
+const { eventSchemas } = require('./schemas');
+
+// Errors go back through the ack when the client sent one, otherwise as a request_error event
+const rejectEvent = (socket, event, callback, code, error) => {
+  if (callback) {
+    callback({ error, code });
+  } else {
+    socket.emit('request_error', { event, error, code });
+  }
+};
+
+// Events without a schema, extra arguments and payloads that do not match are
+// dropped before any handler sees them
+const attachValidation = (socket) => {
+  socket.use(([event, ...args], next) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+    const schemas = Object.hasOwn(eventSchemas, event) ? eventSchemas[event] : null;
+    if (!schemas) {
+      return rejectEvent(socket, event, callback, 'unknown_event', `Unknown event: ${event}`);
+    }
+    if (args.length > schemas.length) {
+      const error = `Too many arguments for ${event}`;
+      return rejectEvent(socket, event, callback, 'invalid_payload', error);
+    }
+
+    for (const [index, schema] of schemas.entries()) {
+      const error = schema(args[index], index === 0 ? event : `${event} argument ${index + 1}`);
+      if (error) {
+        return rejectEvent(socket, event, callback, 'invalid_payload', error);
+      }
+    }
+    next();
+  });
+};
+
+module.exports = { attachValidation };
@@ -0,0 +1,92 @@
+// state/index.js - Everything the chat keeps outside its sockets. One process owns it:
+// the server itself, or in a cluster the primary, which workers reach through ipc.js.
+
+const config = require('../config');
+const { createMessageStore } = require('../models/messageStore');
+const { createUserStore } = require('../models/userStore');
+const { createDeliveryQueue } = require('../models/deliveryQueue');
+const { createReadReceipts } = require('../models/readReceipts');
+const { createUnreadCounts } = require('../models/unreadCounts');
+const { createPresence } = require('../models/presence');
+const { createAttachmentStore } = require('../models/attachmentStore');
+const { createReviewQueue } = require('../models/reviewQueue');
+const { createSearchIndex } = require('../models/searchIndex');
+const { createRoomStore } = require('../models/roomStore');
+const { createTypingIndicators } = require('../socket/typingIndicators');
+const { createRateLimits } = require('../socket/rateLimits');
+
+// Chat rooms every user can join
+const DEFAULT_ROOMS = [
+  { id: 'general', name: 'General Chat' },
+  { id: 'tech', name: 'Tech Talk' },
+];
+
+// `broadcastTyping(conversationId, typingUsers)` sends a conversation's typing list
+const createState = ({ broadcastTyping }) => ({
+  // Registered accounts, chat rooms, room and private message history, undelivered
+  // private messages, how far everyone has read and what they have not, uploaded files
+  // and messages flagged for review
+  userStore: createUserStore(config.userStore),
+  roomStore: createRoomStore({
+    ...config.roomStore,
+    rooms: DEFAULT_ROOMS.map((room) => ({
+      ...room,
+      createdBy: null,
+      createdAt: new Date().toISOString(),
+    })),
+  }),
+  messageStore: createMessageStore(config.messageStore),
+  deliveryQueue: createDeliveryQueue(),
+  readReceipts: createReadReceipts(),
+  unreadCounts: createUnreadCounts(),
+  attachmentStore: createAttachmentStore(config.attachments),
+  reviewQueue: createReviewQueue(),
+
+  // Who is online, their chosen status and when everyone was last seen
+  presence: createPresence(),
+
+  // Who is typing in each room and private conversation
+  typing: createTypingIndicators({ ...config.typing, broadcast: broadcastTyping }),
+
+  // Rate limit buckets for every socket and user, and the users blocked for flooding
+  rateLimits: createRateLimits(config.rateLimits),
+
+  // Full-text index over message history, updated as messages are sent, edited and deleted
+  searchIndex: createSearchIndex(),
+});
+
+// Names of the services in the state, for connecting to them from another process
+const STATE_SERVICES = [
+  'userStore',
+  'roomStore',
+  'messageStore',
+  'deliveryQueue',
+  'readReceipts',
+  'unreadCounts',
+  'attachmentStore',
+  'reviewQueue',
+  'presence',
+  'typing',
+  'rateLimits',
+  'searchIndex',
+];
+
+// Load stored accounts, rooms, history and uploads, then index the history for search
+const startState = async (state) => {
+  await Promise.all([
+    state.userStore.init(),
+    state.roomStore.init(),
+    state.messageStore.init(),
+    state.attachmentStore.init(),
+  ]);
+  (await state.messageStore.find()).forEach((message) => state.searchIndex.add(message));
+
+  // Age-based retention also has to catch rooms that have gone quiet
+  if (config.messageStore.retention.maxAgeMs > 0) {
+    setInterval(() => {
+      state.messageStore.prune().catch((err) => console.error('Failed to prune messages:', err));
+    }, 60 * 60 * 1000).unref();
+  }
+};
+
+module.exports = { DEFAULT_ROOMS, STATE_SERVICES, createState, startState };
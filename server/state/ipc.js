@@ -0,0 +1,95 @@
+// ipc.js - Lets cluster workers use the state held by the primary process. Workers get
+// stand-ins for each service whose methods send the call to the primary and resolve to
+// its result; the primary can also hand events back to a worker to broadcast.
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+
+// Serve workers' calls from the primary's state
+const serveState = (state) => {
+  cluster.on('message', async (worker, message) => {
+    if (message?.type !== 'state:call') {
+      return;
+    }
+
+    const { id, service, method, args } = message;
+    const reply = (outcome) => {
+      if (worker.isConnected()) {
+        worker.send({ type: 'state:result', id, ...outcome });
+      }
+    };
+    try {
+      const target = state[service];
+      if (typeof target?.[method] !== 'function') {
+        throw new Error(`Unknown state call ${service}.${method}`);
+      }
+      reply({ result: await target[method](...args) });
+    } catch (err) {
+      reply({ error: err.message });
+    }
+  });
+};
+
+// Stand-ins in a worker for the named services. `local` supplies members that must not
+// leave the process, such as plain properties or helpers that only build file paths.
+const connectState = (services, local = {}) => {
+  // call id -> { resolve, reject } for calls waiting on the primary
+  const pending = new Map();
+
+  process.on('message', (message) => {
+    if (message?.type !== 'state:result' || !pending.has(message.id)) {
+      return;
+    }
+    const { resolve, reject } = pending.get(message.id);
+    pending.delete(message.id);
+    if (message.error) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.result);
+    }
+  });
+
+  const call = (service, method, args) =>
+    new Promise((resolve, reject) => {
+      const id = crypto.randomUUID();
+      pending.set(id, { resolve, reject });
+      process.send({ type: 'state:call', id, service, method, args }, (err) => {
+        if (err) {
+          pending.delete(id);
+          reject(err);
+        }
+      });
+    });
+
+  const connectService = (service) =>
+    new Proxy(local[service] || {}, {
+      get(overrides, method) {
+        if (Object.hasOwn(overrides, method)) {
+          return overrides[method];
+        }
+        // Not a promise itself, so the stand-in can be returned from async functions
+        if (method === 'then' || typeof method === 'symbol') {
+          return undefined;
+        }
+        return (...args) => call(service, method, args);
+      },
+    });
+
+  return Object.fromEntries(services.map((service) => [service, connectService(service)]));
+};
+
+// Hand an event to one live worker, which broadcasts it to every worker's sockets
+const relayToWorker = (event, ...args) => {
+  const worker = Object.values(cluster.workers).find((candidate) => candidate.isConnected());
+  worker?.send({ type: 'state:relay', event, args });
+};
+
+const onRelay = (event, handler) => {
+  process.on('message', (message) => {
+    if (message?.type === 'state:relay' && message.event === event) {
+      handler(...message.args);
+    }
+  });
+};
+
+module.exports = { serveState, connectState, relayToWorker, onRelay };
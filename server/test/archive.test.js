@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, register, emit, join } = require('./helpers');
+
+let server;
+let owner;
+let member;
+let socket;
+let exported;
+
+// An export of #general moved to a room that does not exist yet, with new message ids as
+// if it came from another server
+const asArchive = (transcript) => ({
+  ...transcript,
+  conversation: { ...transcript.conversation, id: 'archive', name: 'Archive' },
+  messages: transcript.messages.map((message) => ({
+    ...message,
+    id: `old-${message.id}`,
+    roomId: 'archive',
+    ...(message.parentId && { parentId: `old-${message.parentId}` }),
+  })),
+});
+
+const importExport = (token, body) => request(server.url, 'POST', '/api/import', { token, body });
+
+before(async () => {
+  // Imports of up to 10 KB
+  server = await startServer({ MAX_IMPORT_MB: String(10 / 1024) });
+  owner = await register(server.url, 'owner');
+  member = await register(server.url, 'member');
+  socket = await join(server.url, owner.token);
+
+  const parent = await emit(socket, 'send_message', { message: 'first' });
+  await emit(socket, 'send_message', { message: 'a reply', parentId: parent.id });
+  await emit(socket, 'send_message', { message: 'second' });
+  ({ body: exported } = await request(server.url, 'GET', '/api/export?room=general', {
+    token: owner.token,
+  }));
+});
+
+after(async () => {
+  socket.close();
+  await server.stop();
+});
+
+test('exports a room with its thread replies', () => {
+  assert.strictEqual(exported.format, 'chat-export');
+  assert.deepStrictEqual(
+    exported.messages.map(({ message }) => message),
+    ['first', 'a reply', 'second']
+  );
+});
+
+test('only the owner can import', async () => {
+  const { status } = await importExport(member.token, asArchive(exported));
+  assert.strictEqual(status, 403);
+});
+
+test('import bodies are only read for the owner, up to the size limit', async () => {
+  const large = { ...exported, padding: 'x'.repeat(20 * 1024) };
+
+  assert.strictEqual((await importExport(undefined, large)).status, 401);
+  assert.strictEqual((await importExport(member.token, large)).status, 403);
+  const { status, body } = await importExport(owner.token, large);
+  assert.strictEqual(status, 413);
+  assert.match(body.error, /at most/);
+});
+
+test('refuses exports that do not validate', async () => {
+  const broken = asArchive(exported);
+  broken.messages[0].timestamp = 'yesterday';
+
+  const { status, body } = await importExport(owner.token, broken);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'body.messages[0].timestamp must be an ISO timestamp');
+});
+
+test('imports into a new room, and importing again changes nothing', async () => {
+  const archive = asArchive(exported);
+  const first = await importExport(owner.token, archive);
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(first.body, {
+    conversation: { type: 'room', id: 'archive' },
+    imported: 3,
+    skipped: 0,
+  });
+
+  const again = await importExport(owner.token, archive);
+  assert.strictEqual(again.body.imported, 0);
+  assert.strictEqual(again.body.skipped, 3);
+
+  const { body: page } = await request(server.url, 'GET', '/api/messages?room=archive', {
+    token: member.token,
+  });
+  assert.deepStrictEqual(
+    page.messages.map(({ seq, message }) => `${seq}:${message}`),
+    ['1:first', '2:second']
+  );
+});
+
+test('refuses to import behind history the export does not include', async () => {
+  await emit(socket, 'join_room', 'archive');
+  const live = await emit(socket, 'send_message', { message: 'live', roomId: 'archive' });
+  assert.ok(live.id);
+
+  const { status } = await importExport(owner.token, asArchive(exported));
+  assert.strictEqual(status, 409);
+});
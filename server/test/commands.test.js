@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, register, emit, join } = require('./helpers');
+
+let server;
+let owner;
+let member;
+let ownerSocket;
+let memberSocket;
+
+before(async () => {
+  server = await startServer();
+  owner = await register(server.url, 'owner');
+  member = await register(server.url, 'member');
+  ownerSocket = await join(server.url, owner.token);
+  memberSocket = await join(server.url, member.token);
+});
+
+after(async () => {
+  ownerSocket.close();
+  memberSocket.close();
+  await server.stop();
+});
+
+const send = (socket, message, fields = {}) => emit(socket, 'send_message', { message, ...fields });
+
+const latestMessage = async () => {
+  const { body } = await request(server.url, 'GET', '/api/messages?room=general', {
+    token: owner.token,
+  });
+  return body.messages[body.messages.length - 1];
+};
+
+test('/me posts an action instead of the command text', async () => {
+  assert.deepStrictEqual(await send(memberSocket, '/me waves'), {});
+
+  const posted = await latestMessage();
+  assert.strictEqual(posted.message, 'waves');
+  assert.strictEqual(posted.action, true);
+  assert.strictEqual(posted.sender, 'member');
+});
+
+test('unknown commands are refused and nothing is posted', async () => {
+  const previous = await latestMessage();
+  const response = await send(memberSocket, '/frobnicate now');
+
+  assert.ok(response.error);
+  assert.strictEqual((await latestMessage()).id, previous.id);
+});
+
+test('a leading // posts the text with one slash', async () => {
+  const response = await send(memberSocket, '//not a command');
+
+  assert.strictEqual(response.message.message, '/not a command');
+});
+
+test('thread replies are posted as written rather than run', async () => {
+  const parent = await send(memberSocket, 'a thread');
+  const reply = await send(memberSocket, '/shrug', { parentId: parent.id });
+
+  assert.strictEqual(reply.message.message, '/shrug');
+  assert.strictEqual(reply.message.parentId, parent.id);
+});
+
+test('only moderators can set the topic, but anyone can read it', async () => {
+  const refused = await send(memberSocket, '/topic Free for all');
+  assert.strictEqual(refused.code, 'forbidden');
+
+  assert.deepStrictEqual(await send(ownerSocket, '/topic Be kind'), {});
+  assert.deepStrictEqual(await send(memberSocket, '/topic'), { reply: 'Topic: Be kind' });
+});
+
+test('muted users cannot post through commands', async () => {
+  const muted = await send(ownerSocket, '/mute member 5');
+  assert.match(muted.reply, /^Muted member/);
+
+  assert.strictEqual((await send(memberSocket, '/me tries anyway')).code, 'muted');
+});
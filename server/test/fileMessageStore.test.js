@@ -0,0 +1,87 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileMessageStore } = require('../models/fileMessageStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+let filePath;
+
+beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'message-store-test-'));
+  filePath = path.join(dir, 'messages.jsonl');
+});
+
+afterEach(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+const message = (id, seq, ageMs, fields = {}) => ({
+  id,
+  roomId: 'general',
+  seq,
+  sender: 'alice',
+  senderId: 'user-1',
+  message: `message ${id}`,
+  timestamp: new Date(Date.now() - ageMs).toISOString(),
+  reactions: {},
+  ...fields,
+});
+
+const writeLines = (messages) =>
+  fs.promises.writeFile(filePath, messages.map((line) => `${JSON.stringify(line)}\n`).join(''));
+
+const reload = async (retention) => {
+  const store = createFileMessageStore({ filePath, retention });
+  await store.init();
+  return store;
+};
+
+const seqs = (messages) => messages.map(({ id, seq }) => `${id}:${seq}`);
+
+test('updates to messages past the age limit do not bring them back', async () => {
+  const old = message('a', 1, 3 * DAY_MS);
+  await writeLines([
+    old,
+    message('b', 2, 60 * 1000),
+    message('c', 3, 0),
+    { ...old, reactions: { '👍': ['user-2'] } },
+  ]);
+
+  const store = await reload({ maxAgeMs: DAY_MS });
+  assert.strictEqual(await store.get('a'), null);
+  assert.deepStrictEqual(seqs(await store.find({ roomId: 'general' })), ['b:2', 'c:3']);
+  const { messages } = await store.page({ roomId: 'general', afterSeq: 1 });
+  assert.deepStrictEqual(seqs(messages), ['b:2', 'c:3']);
+});
+
+test('updates to messages past a lowered count limit do not bring them back', async () => {
+  const first = message('a', 1, 0);
+  await writeLines([
+    first,
+    message('b', 2, 0),
+    message('c', 3, 0),
+    { ...first, message: 'edited', edited: true },
+    message('r', 1, 0, { parentId: 'a' }),
+  ]);
+
+  const store = await reload({ maxCount: 2 });
+  assert.strictEqual(await store.get('a'), null);
+  assert.strictEqual(await store.get('r'), null);
+  assert.deepStrictEqual(seqs(await store.find({ roomId: 'general' })), ['b:2', 'c:3']);
+});
+
+test('dropped messages are left out when the file is rewritten', async () => {
+  const old = message('a', 1, 3 * DAY_MS);
+  await writeLines([old, message('b', 2, 0), { ...old, edited: true }]);
+
+  await reload({ maxAgeMs: DAY_MS });
+  const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+  assert.deepStrictEqual(
+    lines.map((line) => JSON.parse(line).id),
+    ['b']
+  );
+});
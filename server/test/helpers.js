@@ -0,0 +1,110 @@
+// helpers.js - Run a chat server for a test file and talk to it over REST and Socket.io
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+
+// A port nothing is listening on right now
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+// Start server.js with everything kept in memory or a temporary directory, resolving to
+// { url, stop } once it is listening
+const startServer = async (env = {}) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chat-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AUTH_SECRET: 'test-secret',
+      USER_STORE: 'memory',
+      ROOM_STORE: 'memory',
+      MESSAGE_STORE: 'memory',
+      ATTACHMENT_DIR: path.join(dir, 'uploads'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        child.stdout.off('data', onData);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.once('exit', (code) => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    async stop() {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    },
+  };
+};
+
+const request = async (url, method, route, { token, body } = {}) => {
+  const response = await fetch(`${url}${route}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Register an account, resolving to { token, user }; the first one owns the chat
+const register = async (url, username) => {
+  const { status, body } = await request(url, 'POST', '/api/auth/register', {
+    body: { username, password: 'password123' },
+  });
+  if (status !== 201) {
+    throw new Error(`Failed to register ${username}: ${body.error}`);
+  }
+  return body;
+};
+
+// Emit an event and resolve to the server's ack
+const emit = (socket, event, ...args) =>
+  new Promise((resolve) => {
+    socket.emit(event, ...args, resolve);
+  });
+
+// Connect a socket for an account and join the chat with it
+const join = async (url, token) => {
+  const socket = io(url, { auth: { token }, transports: ['websocket'] });
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  await emit(socket, 'user_join');
+  return socket;
+};
+
+module.exports = { startServer, request, register, emit, join };
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, request, register } = require('./helpers');
+
+const TOKEN = 'incoming-token-for-tests';
+
+let dir;
+let server;
+let reader;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hooks-test-'));
+  const webhooksPath = path.join(dir, 'webhooks.json');
+  await fs.promises.writeFile(
+    webhooksPath,
+    JSON.stringify({ incoming: [{ name: 'ci', token: TOKEN, roomId: 'tech', username: 'CI' }] })
+  );
+  server = await startServer({ WEBHOOKS_PATH: webhooksPath });
+  reader = await register(server.url, 'reader');
+});
+
+after(async () => {
+  await server.stop();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+const postHook = (token, body) => request(server.url, 'POST', `/api/hooks/${token}`, { body });
+
+test('posts to the webhook room under its name', async () => {
+  const { status, body } = await postHook(TOKEN, { text: 'Build passed' });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.message.roomId, 'tech');
+  assert.strictEqual(body.message.sender, 'CI');
+  assert.strictEqual(body.message.webhook, 'ci');
+
+  const { body: page } = await request(server.url, 'GET', '/api/messages?room=tech', {
+    token: reader.token,
+  });
+  assert.deepStrictEqual(
+    page.messages.map(({ message }) => message),
+    ['Build passed']
+  );
+});
+
+test('a repeat with the same clientId answers with the message already posted', async () => {
+  const first = await postHook(TOKEN, { text: 'Deployed', clientId: 'deploy-1' });
+  const second = await postHook(TOKEN, { text: 'Deployed', clientId: 'deploy-1' });
+
+  assert.strictEqual(second.status, 201);
+  assert.strictEqual(second.body.message.id, first.body.message.id);
+});
+
+test('refuses unknown tokens and invalid bodies', async () => {
+  assert.strictEqual((await postHook('not-a-real-token-at-all', { text: 'hi' })).status, 404);
+
+  const { status, body } = await postHook(TOKEN, { text: '   ' });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'invalid_request');
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, register, emit, join } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let socket;
+
+before(async () => {
+  server = await startServer();
+  alice = await register(server.url, 'alice');
+  bob = await register(server.url, 'bob');
+  socket = await join(server.url, alice.token);
+});
+
+after(async () => {
+  socket.close();
+  await server.stop();
+});
+
+const history = async (query) =>
+  (await request(server.url, 'GET', `/api/messages?${query}`, { token: alice.token })).body
+    .messages;
+
+test('a resent room message with the same clientId is stored once', async () => {
+  const payload = { message: 'hello once', clientId: 'retry-1' };
+  const first = await emit(socket, 'send_message', payload);
+  const second = await emit(socket, 'send_message', payload);
+
+  assert.ok(first.id);
+  assert.strictEqual(second.id, first.id);
+  const sent = (await history('room=general')).filter(({ clientId }) => clientId === 'retry-1');
+  assert.strictEqual(sent.length, 1);
+});
+
+test('a resent private message with the same clientId is stored once', async () => {
+  const payload = { to: bob.user.id, message: 'hi bob', clientId: 'retry-2' };
+  const first = await emit(socket, 'private_message', payload);
+  const second = await emit(socket, 'private_message', payload);
+
+  assert.ok(first.id);
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual((await history(`with=${bob.user.id}`)).length, 1);
+});
+
+test('messages with no text and no attachments are refused', async () => {
+  const blank = await emit(socket, 'send_message', { message: '   ' });
+  assert.strictEqual(blank.code, 'invalid_payload');
+
+  // The content filter strips HTML, leaving nothing to send
+  const filtered = await emit(socket, 'send_message', { message: '<b></b>' });
+  assert.strictEqual(filtered.code, 'content_rejected');
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, register, emit, join } = require('./helpers');
+
+let server;
+let sockets;
+
+before(async () => {
+  server = await startServer();
+  const owner = await register(server.url, 'owner');
+  const moderator = await register(server.url, 'moderator');
+  const member = await register(server.url, 'member');
+  sockets = {
+    owner: await join(server.url, owner.token),
+    moderator: await join(server.url, moderator.token),
+    member: await join(server.url, member.token),
+  };
+  await emit(sockets.owner, 'set_role', { userId: moderator.user.id, role: 'moderator' });
+});
+
+after(async () => {
+  Object.values(sockets).forEach((socket) => socket.close());
+  await server.stop();
+});
+
+const post = (name, message) => emit(sockets[name], 'send_message', { message });
+
+test('moderators cannot edit or delete messages from the owner', async () => {
+  const { id } = await post('owner', 'from the owner');
+
+  const edit = await emit(sockets.moderator, 'edit_message', { messageId: id, message: 'no' });
+  assert.strictEqual(edit.code, 'forbidden');
+  const removal = await emit(sockets.moderator, 'delete_message', { messageId: id });
+  assert.strictEqual(removal.code, 'forbidden');
+});
+
+test('moderators can edit and delete messages from members', async () => {
+  const { id } = await post('member', 'needs a fix');
+
+  const edit = await emit(sockets.moderator, 'edit_message', { messageId: id, message: 'fixed' });
+  assert.strictEqual(edit.message.message, 'fixed');
+
+  const removal = await emit(sockets.moderator, 'delete_message', { messageId: id });
+  assert.strictEqual(removal.id, id);
+  assert.strictEqual(removal.notice.action, 'delete_message');
+});
+
+test('members can only change their own messages', async () => {
+  const { id } = await post('moderator', 'from a moderator');
+
+  const removal = await emit(sockets.member, 'delete_message', { messageId: id });
+  assert.strictEqual(removal.code, 'forbidden');
+});
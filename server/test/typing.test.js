@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, register, join } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let aliceSocket;
+let bobSocket;
+
+before(async () => {
+  server = await startServer();
+  alice = await register(server.url, 'alice');
+  bob = await register(server.url, 'bob');
+  aliceSocket = await join(server.url, alice.token);
+  bobSocket = await join(server.url, bob.token);
+});
+
+after(async () => {
+  aliceSocket.close();
+  bobSocket.close();
+  await server.stop();
+});
+
+// The typing lists a socket receives within a second
+const typingListsFor = (socket) =>
+  new Promise((resolve) => {
+    const lists = [];
+    const onTyping = (list) => lists.push(list);
+    socket.on('typing_users', onTyping);
+    setTimeout(() => {
+      socket.off('typing_users', onTyping);
+      resolve(lists);
+    }, 1000);
+  });
+
+test('private typing indicators reach the other side', async () => {
+  const received = typingListsFor(bobSocket);
+  aliceSocket.emit('typing', true, { to: bob.user.id });
+
+  const [list] = await received;
+  assert.deepStrictEqual(list.users, ['alice']);
+
+  const cleared = typingListsFor(bobSocket);
+  aliceSocket.emit('typing', false, { to: bob.user.id });
+  assert.deepStrictEqual((await cleared)[0].users, []);
+});
+
+test('typing to an id that is not a user sends nothing', async () => {
+  const received = typingListsFor(bobSocket);
+  aliceSocket.emit('typing', true, { to: `${bob.user.id}_x` });
+
+  assert.deepStrictEqual(await received, []);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhooks, signPayload } = require('../utils/webhooks');
+
+const SECRET = 'shared-secret';
+
+// A receiver that answers with the next status in `statuses` (200 once they run out)
+// and records every request it gets
+const startReceiver = async () => {
+  const requests = [];
+  let statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  return {
+    url: `http://localhost:${server.address().port}/hook`,
+    requests,
+    respondWith(next) {
+      statuses = next;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+const message = (fields = {}) => ({
+  id: 'message-1',
+  roomId: 'tech',
+  sender: 'alice',
+  senderId: 'user-1',
+  message: 'time to deploy',
+  timestamp: '2026-01-01T12:00:00.000Z',
+  ...fields,
+});
+
+let dir;
+let receiver;
+let webhooks;
+
+before(async () => {
+  receiver = await startReceiver();
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+  const filePath = path.join(dir, 'webhooks.json');
+  await fs.promises.writeFile(
+    filePath,
+    JSON.stringify({
+      outgoing: [{ name: 'deploy-bot', url: receiver.url, secret: SECRET, keywords: ['deploy'] }],
+    })
+  );
+  webhooks = createWebhooks({ filePath, timeoutMs: 1000, retries: 2, retryDelayMs: 10 });
+  await webhooks.init();
+});
+
+after(async () => {
+  await receiver.close();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('signs deliveries with the shared secret', async () => {
+  receiver.requests.length = 0;
+  receiver.respondWith([]);
+
+  assert.deepStrictEqual(await webhooks.dispatch(message()), [true]);
+  assert.strictEqual(receiver.requests.length, 1);
+
+  const [{ headers, body }] = receiver.requests;
+  const timestamp = headers['x-webhook-timestamp'];
+  assert.strictEqual(headers['x-webhook-signature'], signPayload(SECRET, timestamp, body));
+  assert.deepStrictEqual(JSON.parse(body), {
+    event: 'message',
+    webhook: 'deploy-bot',
+    message: message(),
+  });
+});
+
+test('retries a delivery after a 503 with the same delivery id', async () => {
+  receiver.requests.length = 0;
+  receiver.respondWith([503]);
+
+  assert.deepStrictEqual(await webhooks.dispatch(message()), [true]);
+  assert.strictEqual(receiver.requests.length, 2);
+  const [first, second] = receiver.requests;
+  assert.strictEqual(first.headers['x-webhook-id'], second.headers['x-webhook-id']);
+  assert.strictEqual(
+    second.headers['x-webhook-signature'],
+    signPayload(SECRET, second.headers['x-webhook-timestamp'], second.body)
+  );
+});
+
+test('gives up without retrying when the receiver refuses the delivery', async () => {
+  receiver.requests.length = 0;
+  receiver.respondWith([410]);
+
+  assert.deepStrictEqual(await webhooks.dispatch(message()), [false]);
+  assert.strictEqual(receiver.requests.length, 1);
+});
+
+test('skips messages that do not match, private messages and webhook posts', async () => {
+  receiver.requests.length = 0;
+  receiver.respondWith([]);
+
+  await webhooks.dispatch(message({ message: 'nothing to see' }));
+  await webhooks.dispatch(message({ isPrivate: true }));
+  await webhooks.dispatch(message({ webhook: 'ci' }));
+  assert.strictEqual(receiver.requests.length, 0);
+});
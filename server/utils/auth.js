@@ -0,0 +1,96 @@
+// auth.js - Password hashing, signed tokens and the REST auth middleware
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const candidate = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data) =>
+  crypto.createHmac('sha256', config.auth.secret).update(data).digest('base64url');
+
+// Issue an HS256 token carrying the user's id and username
+const signToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({
+    sub: user.id,
+    username: user.username,
+    iat: now,
+    exp: now + Math.floor(config.auth.tokenTtlMs / 1000),
+  });
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// Return the token's claims, or null when it is malformed, forged or expired
+const verifyToken = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!claims.exp || claims.exp * 1000 < Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Express middleware that requires an `Authorization: Bearer <token>` header for an
+// account that still exists and is not banned
+const createRequireAuth =
+  ({ userStore }) =>
+  async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const claims = scheme === 'Bearer' ? verifyToken(token) : null;
+    if (!claims) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      // The account may have been removed or banned since the token was issued
+      const account = await userStore.findById(claims.sub);
+      if (!account) {
+        return res.status(401).json({ error: 'Account not found' });
+      }
+      if (account.bannedAt) {
+        return res.status(403).json({ error: 'You are banned from this chat' });
+      }
+
+      req.user = { id: account.id, username: account.username };
+      next();
+    } catch (err) {
+      console.error('Failed to authenticate request:', err);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  };
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken, createRequireAuth };
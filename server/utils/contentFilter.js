@@ -0,0 +1,139 @@
+// contentFilter.js - Processors every message passes through between arriving and being
+// broadcast. Rules come from a JSON file and can be reloaded while the server runs.
+
+const fs = require('fs');
+
+const PROFANITY_MODES = ['mask', 'reject', 'flag'];
+const LINK_MODES = ['reject', 'flag', 'remove'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tags and comments are dropped; a lone "<" such as in "a < b" or "<3" is kept
+const HTML_PATTERN = /<!--[\s\S]*?-->|<\/?[a-z][^>]*>/gi;
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/gi;
+
+const hostOf = (link) => {
+  try {
+    return new URL(/^https?:/i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+};
+
+// A host matches a listed domain or any of its subdomains
+const matchesHost = (host, domains) =>
+  domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+
+// Check a rules file's contents and build the processors it describes, in the order they run.
+// Each processor takes the message text and returns { text, rejected?, flag? }.
+const compileRules = (rules) => {
+  const processors = [];
+
+  if (rules.stripHtml) {
+    processors.push((text) => ({ text: text.replace(HTML_PATTERN, '') }));
+  }
+
+  const { profanity } = rules;
+  if (profanity?.words?.length) {
+    if (!PROFANITY_MODES.includes(profanity.mode)) {
+      throw new Error(`profanity.mode must be one of ${PROFANITY_MODES.join(', ')}`);
+    }
+    const pattern = new RegExp(`\\b(${profanity.words.map(escapeRegExp).join('|')})\\b`, 'gi');
+    processors.push((text) => {
+      if (!text.match(pattern)) {
+        return { text };
+      }
+      if (profanity.mode === 'reject') {
+        return { text, rejected: 'Your message contains blocked words' };
+      }
+      if (profanity.mode === 'flag') {
+        return { text, flag: 'profanity' };
+      }
+      return { text: text.replace(pattern, (word) => '*'.repeat(word.length)) };
+    });
+  }
+
+  const { links } = rules;
+  if (links?.allow?.length || links?.deny?.length) {
+    if (!LINK_MODES.includes(links.mode)) {
+      throw new Error(`links.mode must be one of ${LINK_MODES.join(', ')}`);
+    }
+    const allow = (links.allow || []).map((domain) => domain.toLowerCase());
+    const deny = (links.deny || []).map((domain) => domain.toLowerCase());
+    // With an allow list only those domains may be linked; the deny list always applies
+    const isBlocked = (link) => {
+      const host = hostOf(link);
+      return !host || matchesHost(host, deny) || (allow.length > 0 && !matchesHost(host, allow));
+    };
+
+    processors.push((text) => {
+      const blocked = (text.match(LINK_PATTERN) || []).filter(isBlocked);
+      if (!blocked.length) {
+        return { text };
+      }
+      if (links.mode === 'reject') {
+        return { text, rejected: 'Your message links to a site that is not allowed' };
+      }
+      if (links.mode === 'flag') {
+        return { text, flag: 'link' };
+      }
+      return {
+        text: text.replace(LINK_PATTERN, (link) => (isBlocked(link) ? '[link removed]' : link)),
+      };
+    });
+  }
+
+  return processors;
+};
+
+const createContentFilter = ({ filePath }) => {
+  let rules = {};
+  let processors = [];
+
+  const load = async () => {
+    let next = {};
+    try {
+      next = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+      // Without a rules file messages pass through untouched
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    // Compile before swapping so a broken file leaves the current rules in place
+    processors = compileRules(next);
+    rules = next;
+    return rules;
+  };
+
+  return {
+    init: load,
+
+    // Read the rules file again, resolving to the new rules or rejecting if it is invalid
+    reload: load,
+
+    rules() {
+      return rules;
+    },
+
+    // Run a message's text through every processor, returning the final text, the reason
+    // it was rejected (if any) and the reasons it should be reviewed by a moderator.
+    apply(text) {
+      const flags = [];
+      let current = text;
+      for (const processor of processors) {
+        const result = processor(current);
+        if (result.rejected) {
+          return { text: current, rejected: result.rejected, flags };
+        }
+        if (result.flag) {
+          flags.push(result.flag);
+        }
+        current = result.text;
+      }
+      return { text: current, rejected: null, flags };
+    },
+  };
+};
+
+module.exports = { createContentFilter };
@@ -0,0 +1,16 @@
+// mentions.js - Find the @username mentions in a message's text
+
+// Usernames are 3-20 letters, digits, dots, dashes or underscores; a mention must not
+// follow a word character, so email addresses are not mistaken for mentions
+const MENTION_PATTERN = /(?<![\w.-])@([A-Za-z0-9_.-]{3,20})/g;
+
+// The distinct usernames mentioned, lowercased; trailing dots ("@sam.") end the sentence
+const parseMentions = (text) => {
+  const usernames = new Set();
+  for (const [, name] of (text || '').matchAll(MENTION_PATTERN)) {
+    usernames.add(name.replace(/\.+$/, '').toLowerCase());
+  }
+  return [...usernames];
+};
+
+module.exports = { parseMentions };
@@ -0,0 +1,16 @@
+// query.js - Reading the query string parameters of HTTP routes
+
+// Repeated parameters arrive as arrays; only single values are used
+const queryParam = (query, name) => (typeof query[name] === 'string' ? query[name] : undefined);
+
+// ?since= and ?until= as epoch milliseconds, each undefined when left out; null when
+// either is not a date
+const dateRange = (query) => {
+  const since = queryParam(query, 'since');
+  const until = queryParam(query, 'until');
+  const from = since ? Date.parse(since) : undefined;
+  const to = until ? Date.parse(until) : undefined;
+  return Number.isNaN(from) || Number.isNaN(to) ? null : { from, to };
+};
+
+module.exports = { queryParam, dateRange };
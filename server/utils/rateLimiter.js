@@ -0,0 +1,40 @@
+// rateLimiter.js - Token buckets keyed by any string, refilled continuously
+
+const createRateLimiter = ({ capacity, perSecond }) => {
+  // key -> { tokens, updatedAt }; a missing bucket is a full one
+  const buckets = new Map();
+
+  const refill = (bucket, now) =>
+    Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+
+  return {
+    // Take a token, returning 0 when there was one or the milliseconds until there will be
+    take(key, now = Date.now()) {
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      bucket.tokens = refill(bucket, now);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - bucket.tokens) / perSecond) * 1000);
+    },
+
+    delete(key) {
+      buckets.delete(key);
+    },
+
+    // Forget buckets that have filled up again; they behave exactly like new ones
+    sweep(now = Date.now()) {
+      buckets.forEach((bucket, key) => {
+        if (refill(bucket, now) >= capacity) {
+          buckets.delete(key);
+        }
+      });
+    },
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,127 @@
+// schema.js - Small declarative validators for data sent by clients. A schema is a
+// function taking a value and its path, returning an error message or null when valid.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// `trim` measures the length without surrounding whitespace, so blank text counts as empty;
+// `pattern` is a regular expression the whole value has to match
+const string =
+  ({ min = 0, max = Infinity, trim = false, pattern } = {}) =>
+  (value, path) => {
+    if (typeof value !== 'string') {
+      return `${path} must be a string`;
+    }
+    const { length } = trim ? value.trim() : value;
+    if (length < min) {
+      return min === 1 ? `${path} must not be empty` : `${path} must be at least ${min} characters`;
+    }
+    if (length > max) {
+      return `${path} must be at most ${max} characters`;
+    }
+    if (pattern && !pattern.test(value)) {
+      return `${path} is not in the expected format`;
+    }
+    return null;
+  };
+
+// An ISO 8601 timestamp exactly as Date#toISOString writes it
+const timestamp = () => (value, path) =>
+  typeof value === 'string' &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString() === value
+    ? null
+    : `${path} must be an ISO timestamp`;
+
+const boolean = () => (value, path) =>
+  typeof value === 'boolean' ? null : `${path} must be true or false`;
+
+const integer =
+  ({ min = -Infinity, max = Infinity } = {}) =>
+  (value, path) => {
+    if (!Number.isInteger(value)) {
+      return `${path} must be a whole number`;
+    }
+    if (value < min || value > max) {
+      return `${path} must be between ${min} and ${max}`;
+    }
+    return null;
+  };
+
+// One of a fixed list of values
+const oneOf = (values) => (value, path) =>
+  values.includes(value) ? null : `${path} must be one of ${values.join(', ')}`;
+
+const array =
+  (item, { max = Infinity } = {}) =>
+  (value, path) => {
+    if (!Array.isArray(value)) {
+      return `${path} must be a list`;
+    }
+    if (value.length > max) {
+      return `${path} must have at most ${max} items`;
+    }
+    for (const [index, entry] of value.entries()) {
+      const error = item(entry, `${path}[${index}]`);
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  };
+
+const optional = (schema) => (value, path) => (value === undefined ? null : schema(value, path));
+
+// An object with exactly these fields; fields the shape does not declare are rejected
+// unless `allowUnknown` is set
+const object =
+  (shape, { allowUnknown = false } = {}) =>
+  (value, path) => {
+    if (!isPlainObject(value)) {
+      return `${path} must be an object`;
+    }
+    const unknown = Object.keys(value).find((key) => !Object.hasOwn(shape, key));
+    if (!allowUnknown && unknown !== undefined) {
+      return `${path}.${unknown} is not allowed`;
+    }
+    for (const [key, schema] of Object.entries(shape)) {
+      const error = schema(value[key], `${path}.${key}`);
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  };
+
+// An object used as a map, with any keys up to maxKeys and values matching one schema
+const record =
+  (valueSchema, { maxKeys = Infinity } = {}) =>
+  (value, path) => {
+    if (!isPlainObject(value)) {
+      return `${path} must be an object`;
+    }
+    const entries = Object.entries(value);
+    if (entries.length > maxKeys) {
+      return `${path} must have at most ${maxKeys} entries`;
+    }
+    for (const [key, entry] of entries) {
+      const error = valueSchema(entry, `${path}.${key}`);
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  };
+
+module.exports = {
+  isPlainObject,
+  string,
+  timestamp,
+  boolean,
+  integer,
+  oneOf,
+  array,
+  optional,
+  object,
+  record,
+};
@@ -0,0 +1,185 @@
+// transcript.js - Readable transcripts of a conversation export: Markdown, and a standalone
+// HTML page with no outside styles or scripts. Both show times in UTC and list thread
+// replies under the message they answer. Attachments are listed by name, since their
+// files stay on the server.
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const day = (timestamp) => timestamp.slice(0, 10);
+const time = (timestamp) => timestamp.slice(11, 16);
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const title = ({ conversation }) => {
+  if (conversation.type === 'room') {
+    return `#${conversation.id} (${conversation.name})`;
+  }
+  const names = conversation.participants.map((user) => user.username);
+  return `Private conversation: ${names.join(' and ')}`;
+};
+
+// "12 messages from 2026-10-01, exported by alice on 2026-10-19 at 08:30. Times are UTC."
+const summary = ({ exportedAt, exportedBy, since, until, messages }) => {
+  const count = `${messages.length} message${messages.length === 1 ? '' : 's'}`;
+  const range = [since && ` from ${day(since)}`, until && ` until ${day(until)}`]
+    .filter(Boolean)
+    .join('');
+  return (
+    `${count}${range}, exported by ${exportedBy.username} on ${day(exportedAt)} ` +
+    `at ${time(exportedAt)}. Times are UTC.`
+  );
+};
+
+// "👍 2 · 🎉 1"
+const reactionSummary = (reactions = {}) =>
+  Object.entries(reactions)
+    .map(([emoji, userIds]) => `${emoji} ${userIds.length}`)
+    .join(' · ');
+
+// Group messages under the day they were sent, keeping each thread's replies with its
+// parent even when they came on a later day
+const byDay = (messages) => {
+  const days = [];
+  messages.forEach((message) => {
+    const date = day(message.timestamp);
+    const current = days[days.length - 1];
+    if (current && (message.parentId || current.date === date)) {
+      current.messages.push(message);
+    } else {
+      days.push({ date, messages: [message] });
+    }
+  });
+  return days;
+};
+
+const toMarkdown = (transcript) => {
+  const lines = [`# ${title(transcript)}`, ''];
+  if (transcript.conversation.topic) {
+    lines.push(`Topic: ${transcript.conversation.topic}`, '');
+  }
+  lines.push(`_${summary(transcript)}_`, '');
+
+  byDay(transcript.messages).forEach(({ date, messages }) => {
+    lines.push(`## ${date}`, '');
+    messages.forEach((message) => {
+      const body = [];
+      const edited = message.edited ? ' (edited)' : '';
+      if (message.deleted) {
+        body.push(`**${message.sender}** ${time(message.timestamp)}`, '_This message was deleted_');
+      } else if (message.action) {
+        body.push(`_${time(message.timestamp)} ${message.sender} ${message.message}_${edited}`);
+      } else {
+        body.push(`**${message.sender}** ${time(message.timestamp)}${edited}`);
+        if (message.message) {
+          body.push(...message.message.split('\n'));
+        }
+      }
+      (message.attachments || []).forEach((attachment) => {
+        body.push(`📎 ${attachment.filename} (${formatSize(attachment.size)})`);
+      });
+      const reactions = reactionSummary(message.reactions);
+      if (reactions) {
+        body.push(reactions);
+      }
+
+      // Lines end in two spaces so Markdown keeps the line breaks; replies are quoted
+      const prefix = message.parentId ? '> ' : '';
+      lines.push(...body.map((line) => `${prefix}${line}  `), '');
+    });
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+const STYLES = `
+  body { font: 15px/1.5 system-ui, sans-serif; max-width: 46rem; margin: 2rem auto;
+    padding: 0 1rem; color: #1f2328; }
+  header p { color: #59636e; margin: 0.25rem 0; }
+  h2 { font-size: 1rem; color: #59636e; border-bottom: 1px solid #d1d9e0; margin-top: 2rem; }
+  .message { margin: 0.75rem 0; }
+  .reply { margin-left: 2rem; padding-left: 0.75rem; border-left: 3px solid #d1d9e0; }
+  .meta { font-size: 0.85rem; color: #59636e; }
+  .sender { font-weight: 600; color: #1f2328; }
+  .text { white-space: pre-wrap; overflow-wrap: anywhere; }
+  .deleted, .action { font-style: italic; color: #59636e; }
+  .attachment, .reactions { font-size: 0.85rem; }
+`;
+
+const messageHtml = (message) => {
+  const classes = ['message', message.parentId && 'reply'].filter(Boolean).join(' ');
+  const parts = [
+    `<div class="meta"><span class="sender">${escapeHtml(message.sender)}</span> ` +
+      `<time datetime="${escapeHtml(message.timestamp)}">` +
+      `${escapeHtml(time(message.timestamp))}</time>` +
+      `${message.edited ? ' (edited)' : ''}</div>`,
+  ];
+  if (message.deleted) {
+    parts.push('<div class="deleted">This message was deleted</div>');
+  } else if (message.action) {
+    parts.push(
+      `<div class="text action">${escapeHtml(message.sender)} ${escapeHtml(message.message)}</div>`
+    );
+  } else if (message.message) {
+    parts.push(`<div class="text">${escapeHtml(message.message)}</div>`);
+  }
+  (message.attachments || []).forEach((attachment) => {
+    parts.push(
+      `<div class="attachment">📎 ${escapeHtml(attachment.filename)} ` +
+        `(${formatSize(attachment.size)})</div>`
+    );
+  });
+  const reactions = reactionSummary(message.reactions);
+  if (reactions) {
+    parts.push(`<div class="reactions">${escapeHtml(reactions)}</div>`);
+  }
+  return `<div class="${classes}">\n${parts.join('\n')}\n</div>`;
+};
+
+const toHtml = (transcript) => {
+  const heading = escapeHtml(title(transcript));
+  const topic = transcript.conversation.topic
+    ? `<p>Topic: ${escapeHtml(transcript.conversation.topic)}</p>\n`
+    : '';
+  const days = byDay(transcript.messages)
+    .map(
+      ({ date, messages }) =>
+        `<h2>${escapeHtml(date)}</h2>\n${messages.map(messageHtml).join('\n')}`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${heading}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${heading}</h1>
+${topic}<p>${escapeHtml(summary(transcript))}</p>
+</header>
+<main>
+${days}
+</main>
+</body>
+</html>
+`;
+};
+
+module.exports = { toMarkdown, toHtml };
@@ -0,0 +1,207 @@
+// webhooks.js - Integrations with bots and other tools. Incoming webhooks let a tool post
+// into a room with a secret token; outgoing webhooks POST matching room messages to a URL.
+// Both come from a JSON file, which can be reloaded while the server runs:
+//
+//   {
+//     "incoming": [{ "name": "ci", "token": "<long random string>", "roomId": "tech",
+//                    "username": "CI" }],
+//     "outgoing": [{ "name": "deploy-bot", "url": "https://bots.example.com/chat",
+//                    "secret": "<shared secret>", "rooms": ["tech"],
+//                    "keywords": ["deploy"], "mentions": ["deploybot"] }]
+//   }
+//
+// An outgoing webhook receives the messages in its `rooms` (every room when left out) that
+// contain one of its `keywords` or @mention one of its `mentions`; with neither listed it
+// receives them all. Private messages and messages posted by webhooks are never sent, so
+// a bot answering through an incoming webhook does not hear itself.
+//
+// Each delivery is a JSON body { event: 'message', webhook, message } signed with the
+// webhook's secret: X-Webhook-Signature is "sha256=" and the hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<body>". Failed deliveries are retried with doubling delays.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseMentions } = require('./mentions');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const MIN_TOKEN_LENGTH = 16;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Tokens are compared by digest so the comparison takes the same time for any input
+const digest = (text) => crypto.createHash('sha256').update(text).digest();
+
+// The signature a receiver should compute to check a delivery came from this server
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const isList = (value) =>
+  value === undefined || (Array.isArray(value) && value.every((item) => typeof item === 'string'));
+
+// Check a webhooks file's contents, throwing on the first mistake
+const compileWebhooks = ({ incoming = [], outgoing = [] }) => {
+  const names = new Set();
+  const checkName = (hook) => {
+    if (!NAME_PATTERN.test(hook.name || '') || names.has(hook.name)) {
+      throw new Error('Webhooks need a unique name of letters, numbers, dashes or underscores');
+    }
+    names.add(hook.name);
+  };
+
+  const incomingHooks = incoming.map((hook) => {
+    checkName(hook);
+    if (typeof hook.token !== 'string' || hook.token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(
+        `Webhook ${hook.name} needs a token of at least ${MIN_TOKEN_LENGTH} characters`
+      );
+    }
+    if (typeof hook.roomId !== 'string' || !hook.roomId) {
+      throw new Error(`Webhook ${hook.name} needs a roomId`);
+    }
+    return {
+      name: hook.name,
+      roomId: hook.roomId,
+      username: hook.username || hook.name,
+      tokenDigest: digest(hook.token),
+    };
+  });
+
+  const outgoingHooks = outgoing.map((hook) => {
+    checkName(hook);
+    let url;
+    try {
+      url = new URL(hook.url);
+    } catch (err) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Webhook ${hook.name} needs an http or https url`);
+    }
+    if (typeof hook.secret !== 'string' || !hook.secret) {
+      throw new Error(`Webhook ${hook.name} needs a secret to sign its payloads`);
+    }
+    if (!isList(hook.rooms) || !isList(hook.keywords) || !isList(hook.mentions)) {
+      throw new Error(`Webhook ${hook.name}: rooms, keywords and mentions must be lists`);
+    }
+    return {
+      name: hook.name,
+      url: url.href,
+      secret: hook.secret,
+      rooms: hook.rooms || [],
+      keywords: (hook.keywords || []).map((keyword) => keyword.toLowerCase()),
+      mentions: (hook.mentions || []).map((name) => name.replace(/^@/, '').toLowerCase()),
+    };
+  });
+
+  return { incoming: incomingHooks, outgoing: outgoingHooks };
+};
+
+// Whether an outgoing webhook wants a message
+const matches = (hook, message) => {
+  if (hook.rooms.length && !hook.rooms.includes(message.roomId)) {
+    return false;
+  }
+  if (!hook.keywords.length && !hook.mentions.length) {
+    return true;
+  }
+  const text = message.message.toLowerCase();
+  const mentioned = parseMentions(message.message).map((name) => name.toLowerCase());
+  return (
+    hook.keywords.some((keyword) => text.includes(keyword)) ||
+    hook.mentions.some((name) => mentioned.includes(name))
+  );
+};
+
+// Responses worth trying again: the receiver was down, overloaded or failing
+const isRetryable = (status) => status === 408 || status === 429 || status >= 500;
+
+const createWebhooks = ({ filePath, timeoutMs, retries, retryDelayMs }) => {
+  let hooks = { incoming: [], outgoing: [] };
+
+  const load = async () => {
+    let next = {};
+    try {
+      next = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+      // Without a webhooks file there are no integrations
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    // Check before swapping so a broken file leaves the current webhooks in place
+    hooks = compileWebhooks(next);
+    return hooks;
+  };
+
+  // POST a payload to an outgoing webhook, trying again after failures; every attempt
+  // carries the same delivery id so receivers can ignore repeats
+  const deliver = async (hook, payload) => {
+    const body = JSON.stringify(payload);
+    const deliveryId = crypto.randomUUID();
+
+    for (let attempt = 0; ; attempt += 1) {
+      let failure;
+      let retryable = true;
+      try {
+        const timestamp = String(Date.now());
+        const response = await fetch(hook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': deliveryId,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signPayload(hook.secret, timestamp, body),
+          },
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (response.ok) {
+          return true;
+        }
+        failure = new Error(`Responded with ${response.status}`);
+        retryable = isRetryable(response.status);
+      } catch (err) {
+        failure = err;
+      }
+
+      if (!retryable || attempt >= retries) {
+        console.error(`Failed to deliver to webhook ${hook.name}:`, failure.message);
+        return false;
+      }
+      await wait(retryDelayMs * 2 ** attempt);
+    }
+  };
+
+  return {
+    init: load,
+
+    // Read the webhooks file again, resolving to the new webhooks or rejecting if it is
+    // invalid
+    reload: load,
+
+    // The incoming webhook a token belongs to, or null
+    findIncoming(token) {
+      const tokenDigest = digest(String(token));
+      return (
+        hooks.incoming.find((hook) => crypto.timingSafeEqual(hook.tokenDigest, tokenDigest)) ||
+        null
+      );
+    },
+
+    // Send a new room message to every outgoing webhook that wants it. Deliveries run in
+    // the background; the returned promise settles once all of them succeeded or gave up.
+    dispatch(message) {
+      if (message.isPrivate || message.webhook) {
+        return Promise.resolve([]);
+      }
+      const payload = (hook) => ({ event: 'message', webhook: hook.name, message });
+      return Promise.all(
+        hooks.outgoing
+          .filter((hook) => matches(hook, message))
+          .map((hook) => deliver(hook, payload(hook)))
+      );
+    },
+  };
+};
+
+module.exports = { createWebhooks, signPayload };